@@ -0,0 +1,111 @@
+// Atmosphere Module
+// Distance fog and color grading (saturation, contrast, temperature, brightness) for splat meshes using DynoBlock
+
+import * as THREE from "three";
+
+/**
+ * Create an atmosphere modifier for a splat mesh
+ * Grades each splat's color, then fades it toward the fog color with
+ * exponential fog: fog = 1 - exp(-density * max(distance - start, 0)),
+ * where distance is measured from the camera (see controls.setCameraPosition).
+ * @param {object} dyno - The dyno library object
+ * @param {object} options - Configuration options
+ * @returns {object} Object containing the modifier and control functions
+ */
+export function createAtmosphereModifier(dyno, options = {}) {
+  const {
+    fogColor = 0x000000,   // Color far splats fade toward
+    fogDensity = 0.0,      // Fog per meter (0 = no fog)
+    fogStart = 0.0,        // Distance in meters before fog starts
+    saturation = 1.0,      // 0 = grayscale, 1 = unchanged, >1 = more saturated
+    contrast = 1.0,        // <1 = flatter, 1 = unchanged, >1 = punchier
+    temperature = 0.0,     // -1 = cool, 0 = unchanged, 1 = warm
+    brightness = 1.0       // Color multiplier (1 = unchanged)
+  } = options;
+
+  // fog rgb = color, w = density; view xyz = camera position, w = fog start;
+  // grade x = saturation, y = contrast, z = temperature, w = brightness
+  const fogVal = dyno.dynoVec4(new THREE.Vector4(0, 0, 0, fogDensity));
+  const viewVal = dyno.dynoVec4(new THREE.Vector4(0, 0, 0, fogStart));
+  const gradeVal = dyno.dynoVec4(new THREE.Vector4(saturation, contrast, temperature, brightness));
+
+  // Splat colors aren't color managed, so use the hex channels as they are (as floating lights do)
+  const setFogColor = (value) => {
+    const hex = typeof value === 'string' ? parseInt(value, 16) : value;
+    fogVal.value.set(((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255, fogVal.value.w);
+  };
+  setFogColor(fogColor);
+
+  const modifier = dyno.dynoBlock(
+    { gsplat: dyno.Gsplat },
+    { gsplat: dyno.Gsplat },
+    ({ gsplat }) => {
+      // Create an inline GLSL block that has all the inputs we need
+      const d = new dyno.Dyno({
+        inTypes: { gsplat: dyno.Gsplat, fog: "vec4", view: "vec4", grade: "vec4" },
+        outTypes: { gsplat: dyno.Gsplat },
+        globals: () => [
+          dyno.unindent(`
+            // Saturation, contrast, white balance and brightness (grade: saturation, contrast, temperature, brightness)
+            vec3 atmosphereGrade(vec3 rgb, vec4 grade) {
+              float luma = dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+              rgb = mix(vec3(luma), rgb, grade.x);
+              rgb = (rgb - 0.5) * grade.y + 0.5;
+              // Temperature shifts red against blue by up to 15%
+              rgb *= vec3(1.0 + 0.15 * grade.z, 1.0, 1.0 - 0.15 * grade.z);
+              return max(rgb * grade.w, vec3(0.0));
+            }
+          `)
+        ],
+        statements: ({ inputs, outputs }) => dyno.unindentLines(`
+          ${outputs.gsplat} = ${inputs.gsplat};
+          vec3 rgb = atmosphereGrade(${inputs.gsplat}.rgba.rgb, ${inputs.grade});
+
+          float dist = distance(${inputs.gsplat}.center, ${inputs.view}.xyz);
+          float fogAmount = 1.0 - exp(-${inputs.fog}.w * max(dist - ${inputs.view}.w, 0.0));
+          ${outputs.gsplat}.rgba.rgb = mix(rgb, ${inputs.fog}.rgb, fogAmount);
+        `),
+      });
+      // Apply the GLSL block with appropriate inputs and return the output
+      gsplat = d.apply({
+        gsplat,
+        fog: fogVal,
+        view: viewVal,
+        grade: gradeVal
+      }).gsplat;
+      return { gsplat };
+    },
+  );
+
+  return {
+    modifier,
+    // Control functions for dynamic updates
+    controls: {
+      /** Set the point fog distance is measured from (usually the camera's world position) */
+      setCameraPosition: (position) => {
+        viewVal.value.set(position.x, position.y, position.z, viewVal.value.w);
+      },
+      /**
+       * Update fog settings; missing fields keep their current value
+       * @param {object} fog - { color, density, start }
+       */
+      setFog: ({ color: fogColorValue, density, start } = {}) => {
+        if (fogColorValue !== undefined) setFogColor(fogColorValue);
+        if (density !== undefined) fogVal.value.w = density;
+        if (start !== undefined) viewVal.value.w = start;
+      },
+      /**
+       * Set the color grade
+       * @param {object} grade - { saturation, contrast, temperature, brightness }; missing fields are neutral
+       */
+      setGrade: ({ saturation = 1, contrast = 1, temperature = 0, brightness = 1 } = {}) => {
+        gradeVal.value.set(saturation, contrast, temperature, brightness);
+      },
+      /** Check if fog or grading currently changes anything */
+      isActive: () => {
+        const grade = gradeVal.value;
+        return fogVal.value.w > 0 || grade.x !== 1 || grade.y !== 1 || grade.z !== 0 || grade.w !== 1;
+      }
+    }
+  };
+}
@@ -2,6 +2,9 @@
 // Handles all spatial audio functionality
 
 import * as THREE from "three";
+import { sceneState } from './scene-state.js';
+import { validateAudioConfig, reportConfigErrors } from './config-validator.js';
+import audioConfigSchema from './schemas/audio-config.schema.json';
 
 // Helper function to get localDev dynamically (since window.localDev might not be set at module load time)
 function getLocalDev() {
@@ -14,6 +17,11 @@ const audioLoader = new THREE.AudioLoader();
 export const spatialAudioSources = [];
 let _audioEnabled = false;
 let _audioInitialized = false;
+// Scene and URL resolver from initializeAudio, reused when the config is reloaded
+let _scene = null;
+let _assetUrlFn = null;
+// Functions(source) called when a proximity trigger fires
+const _triggerCallbacks = [];
 
 // Export getters for audio state
 export function getAudioEnabled() { return _audioEnabled; }
@@ -51,6 +59,12 @@ function getAssetUrl(path) {
  * @param {boolean} options.loop - Whether the audio should loop (default: true)
  * @param {number} options.volume - Volume of the audio (default: 1)
  * @param {number} options.triggerRadius - Proximity radius to trigger non-looping audio (optional)
+ * @param {string} options.zone - Effect zone ID whose blend weight scales the volume (optional)
+ * @param {object} options.when - Scene state condition required before a proximity trigger fires (optional)
+ * @param {object} options.onTrigger - Scene state actions applied when a proximity trigger fires (optional)
+ * @param {object} options.ripple - Ripple settings started when a proximity trigger fires (optional)
+ * @param {string} options.name - Name used to look the source up (default: audio file name without extension)
+ * @param {string} options.configKey - Serialized config entry, used to diff reloaded configs (optional)
  * @returns {Promise<THREE.PositionalAudio>} The created positional audio object
  */
 export async function addSpatialAudioSource(audioUrl, position, options = {}) {
@@ -60,7 +74,13 @@ export async function addSpatialAudioSource(audioUrl, position, options = {}) {
     maxDistance = 50,
     loop = true,
     volume = 1,
-    triggerRadius = null
+    triggerRadius = null,
+    zone = null,
+    when = null,
+    onTrigger = null,
+    ripple = null,
+    name = audioUrl.split('/').pop().replace(/\.[^.]*$/, ''),
+    configKey = null
   } = options;
 
   return new Promise((resolve, reject) => {
@@ -90,8 +110,17 @@ export async function addSpatialAudioSource(audioUrl, position, options = {}) {
           audio: positionalAudio,
           mesh: audioMesh,
           url: audioUrl,
+          name: name,
           loop: loop,
           triggerRadius: triggerRadius,
+          volume: volume,
+          zone: zone,
+          when: when,
+          onTrigger: onTrigger,
+          ripple: ripple,
+          analyser: null, // Created on first getAudioLevel() call
+          fader: null, // Created on first fadeAudioSource() call
+          configKey: configKey,
           triggered: false, // Track if non-looping audio has been triggered
           position: position.clone()
         });
@@ -110,9 +139,9 @@ export async function addSpatialAudioSource(audioUrl, position, options = {}) {
 }
 
 export async function addMultipleSpatialAudioSources(audioList) {
-  const promises = audioList.map(({ audio_url, audio_position, falloff = {}, triggerRadius = null }) => {
+  const promises = audioList.map(({ audio_url, audio_position, falloff = {}, triggerRadius = null, zone = null, when = null, onTrigger = null, ripple = null, name = undefined, configKey = null }) => {
     const position = new THREE.Vector3(...audio_position);
-    return addSpatialAudioSource(audio_url, position, { ...falloff, triggerRadius });
+    return addSpatialAudioSource(audio_url, position, { ...falloff, triggerRadius, zone, when, onTrigger, ripple, name, configKey });
   });
   
   return Promise.all(promises);
@@ -155,6 +184,14 @@ export async function toggleAudio() {
   syncAudioToggle();
 }
 
+/**
+ * Register a callback for proximity-triggered audio
+ * @param {function} callback - Function(source) called with the spatialAudioSources entry that fired
+ */
+export function onAudioTrigger(callback) {
+  _triggerCallbacks.push(callback);
+}
+
 // Check proximity for triggered audio sources
 export function checkProximityTriggers(listenerPosition) {
   if (!_audioEnabled) return;
@@ -164,47 +201,208 @@ export function checkProximityTriggers(listenerPosition) {
     if (!source.loop && source.triggerRadius && !source.triggered) {
       const distance = listenerPosition.distanceTo(source.position);
       
-      // Trigger audio if within radius
-      if (distance <= source.triggerRadius) {
+      // Trigger audio if within radius and its scene state condition holds
+      if (distance <= source.triggerRadius && sceneState.matches(source.when)) {
         source.audio.play();
         source.triggered = true;
+        sceneState.apply(source.onTrigger);
+        _triggerCallbacks.forEach(cb => cb(source));
         console.log(`Triggered audio: ${source.url}`);
       }
     }
   }
 }
 
+/**
+ * Scale zone-bound audio sources by their zone's blend weight
+ * Call this every frame after the effect zones have updated.
+ * @param {function} getZoneWeight - Function(zoneId) returning a 0..1 weight
+ */
+export function applyZoneWeights(getZoneWeight) {
+  for (const source of spatialAudioSources) {
+    if (source.zone) {
+      source.audio.setVolume(source.volume * getZoneWeight(source.zone));
+    }
+  }
+}
+
+/**
+ * Rebuild a source's filter chain from the nodes it uses
+ * The level tap comes first so it hears the file as recorded, before fades.
+ * @param {object} source - An entry of spatialAudioSources
+ */
+function updateSourceFilters(source) {
+  source.audio.setFilters([source.analyser?.tap, source.fader].filter(Boolean));
+}
+
+/**
+ * Get the current loudness of a named audio source
+ * The level is measured on the source's output before fades, the panner and
+ * the volume, distance and zone-weight gains, so it doesn't depend on where
+ * the listener is. It is smoothed over a few frames.
+ * @param {string} name - Source name (see addSpatialAudioSource)
+ * @returns {number|null} Level from 0 to 1, or null if no source with that name is playing
+ */
+export function getAudioLevel(name) {
+  const source = spatialAudioSources.find(s => s.name === name && s.audio.isPlaying);
+  if (!source) return null;
+
+  if (!source.analyser) {
+    // A unity gain node at the head of the filter chain, with the analyser branching off it
+    const tap = source.audio.context.createGain();
+    const analyser = source.audio.context.createAnalyser();
+    analyser.fftSize = 64;
+    tap.connect(analyser);
+    source.analyser = { tap, node: analyser, data: new Uint8Array(analyser.frequencyBinCount) };
+    updateSourceFilters(source);
+  }
+
+  const { node, data } = source.analyser;
+  node.getByteFrequencyData(data);
+  let sum = 0;
+  for (const value of data) {
+    sum += value;
+  }
+  return sum / data.length / 255;
+}
+
+/**
+ * Fade named audio sources to a fraction of their volume, e.g. to swap ambient beds
+ * The fade applies on top of the configured volume and zone weighting, and
+ * faded-out sources keep playing silently so they stay in sync when faded back in.
+ * @param {string} name - Source name (see addSpatialAudioSource)
+ * @param {number} level - Target fraction of the source's volume (0 = silent, 1 = full)
+ * @param {number} seconds - Fade duration
+ */
+export function fadeAudioSource(name, level, seconds = 0) {
+  const sources = spatialAudioSources.filter(s => s.name === name);
+  if (sources.length === 0) {
+    console.warn(`Audio: No audio source named "${name}"`);
+    return;
+  }
+
+  for (const source of sources) {
+    // A gain node in the source's filter chain, created on first use
+    if (!source.fader) {
+      source.fader = source.audio.context.createGain();
+      updateSourceFilters(source);
+    }
+    const { gain } = source.fader;
+    const now = source.audio.context.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(level, now + seconds);
+  }
+}
+
+/**
+ * Remove a spatial audio source, stopping playback and freeing its marker mesh
+ * @param {object} source - An entry of spatialAudioSources
+ */
+function removeSpatialAudioSource(source) {
+  if (source.audio.isPlaying) {
+    source.audio.stop();
+  }
+  source.audio.disconnect();
+  if (source.analyser) {
+    source.analyser.tap.disconnect();
+  }
+  source.mesh.removeFromParent();
+  source.mesh.geometry.dispose();
+  source.mesh.material.dispose();
+
+  const index = spatialAudioSources.indexOf(source);
+  if (index !== -1) {
+    spatialAudioSources.splice(index, 1);
+  }
+}
+
+/**
+ * Apply an audio configuration, diffing it against the loaded sources
+ * Entries are matched by their full serialized config, so an edited entry
+ * is removed and re-added while untouched sources keep playing.
+ * @param {Array<object>} audioConfig - Parsed audio-config.json
+ * @returns {Promise<object>} { added, removed } counts
+ */
+export async function applyAudioConfig(audioConfig) {
+  const assetUrlFn = _assetUrlFn || getAssetUrl;
+
+  // Skip entries that don't match schemas/audio-config.schema.json, reporting where they fail
+  const { config: validConfig, errors } = validateAudioConfig(audioConfig, audioConfigSchema);
+  reportConfigErrors('audio-config.json', errors);
+
+  // Group loaded sources by config key (identical entries may appear more than once)
+  const existing = new Map();
+  for (const source of spatialAudioSources) {
+    if (!existing.has(source.configKey)) existing.set(source.configKey, []);
+    existing.get(source.configKey).push(source);
+  }
+
+  // Keep sources whose entry is unchanged, queue the rest for loading
+  const toAdd = [];
+  for (const entry of validConfig) {
+    const configKey = JSON.stringify(entry);
+    const matches = existing.get(configKey);
+    if (matches && matches.length > 0) {
+      matches.pop();
+    } else {
+      toAdd.push({
+        ...entry,
+        // Map the audio URLs using getAssetUrl
+        audio_url: assetUrlFn(entry.audio_url),
+        configKey
+      });
+    }
+  }
+
+  // Whatever wasn't matched is no longer in the config
+  let removed = 0;
+  for (const sources of existing.values()) {
+    for (const source of sources) {
+      removeSpatialAudioSource(source);
+      removed++;
+    }
+  }
+
+  // Load and add new spatial audio sources
+  if (toAdd.length > 0) {
+    await addMultipleSpatialAudioSources(toAdd);
+    for (const source of spatialAudioSources) {
+      if (!source.mesh.parent && _scene) {
+        _scene.add(source.mesh);
+      }
+      // Newly added loops join in if audio is already playing
+      if (_audioEnabled && source.loop && !source.audio.isPlaying) {
+        source.audio.play();
+      }
+    }
+  }
+
+  return { added: toAdd.length, removed };
+}
+
 // Initialize audio system
 export async function initializeAudio(scene, getAssetUrlFn) {
   // Use provided getAssetUrl function or fallback
-  const assetUrlFn = getAssetUrlFn || getAssetUrl;
+  _assetUrlFn = getAssetUrlFn || getAssetUrl;
+  _scene = scene;
   
   // Initialize spatial audio sources by loading config from JSON
-  let audioSources = [];
+  let audioConfig = [];
   try {
-    const audioConfigUrl = assetUrlFn("assets/audio-config.json");
+    const audioConfigUrl = _assetUrlFn("assets/audio-config.json");
     const response = await fetch(audioConfigUrl);
-    const audioConfig = await response.json();
+    audioConfig = await response.json();
     
-    // Map the audio URLs using getAssetUrl
-    audioSources = audioConfig.map(source => ({
-      ...source,
-      audio_url: assetUrlFn(source.audio_url)
-    }));
-    
-    console.log(`Loaded ${audioSources.length} audio source configurations`);
+    console.log(`Loaded ${audioConfig.length} audio source configurations`);
   } catch (error) {
     console.error("Failed to load audio configuration:", error);
   }
 
   // Load and add all spatial audio sources
-  if (audioSources.length > 0) {
+  if (audioConfig.length > 0) {
     try {
-      await addMultipleSpatialAudioSources(audioSources);
-      // Add audio meshes to scene
-      spatialAudioSources.forEach(source => {
-        scene.add(source.mesh);
-      });
+      await applyAudioConfig(audioConfig);
       console.log(`Successfully loaded ${spatialAudioSources.length} spatial audio source(s)`);
       _audioInitialized = true;
     } catch (error) {
@@ -0,0 +1,130 @@
+// Clock Module
+// Shared animation clock giving every subsystem the same frame delta, pause state and time scale
+
+// Longest frame delta passed on, so a backgrounded tab or a hitch doesn't make effects jump
+const DEFAULT_MAX_DELTA = 0.1; // seconds
+
+/**
+ * Animation Clock
+ * Advanced once per frame by the main loop with the frame timestamp. Effects
+ * read `delta` (seconds since the last frame) and `elapsed` (seconds of
+ * animation time) instead of assuming a frame rate, so they run at the same
+ * speed on 60 Hz monitors and 90/120 Hz headsets. Pausing freezes animation
+ * time and a time scale speeds it up or slows it down. In fixed-step mode each
+ * tick advances by exactly the same amount regardless of the wall clock, which
+ * makes runs reproducible for tests and captures.
+ */
+export class Clock {
+  /**
+   * @param {object} options - Clock options
+   * @param {number} options.timeScale - Animation speed multiplier (default: 1)
+   * @param {number} options.maxDelta - Longest frame delta in seconds, before scaling (default: 0.1)
+   */
+  constructor({ timeScale = 1, maxDelta = DEFAULT_MAX_DELTA } = {}) {
+    this.timeScale = timeScale;
+    this.maxDelta = maxDelta;
+    this.fixedStep = null; // Seconds per tick in fixed-step mode, null for real time
+
+    this.delta = 0; // Scaled seconds since the previous tick
+    this.elapsed = 0; // Scaled seconds of animation time
+    this.frame = 0; // Number of ticks so far
+    this.paused = false;
+    this.lastNow = null; // Timestamp of the previous tick in milliseconds
+  }
+
+  /**
+   * Advance the clock, once per frame
+   * @param {number} now - Frame timestamp in milliseconds (e.g. the setAnimationLoop time)
+   * @returns {number} The new delta in seconds
+   */
+  tick(now = performance.now()) {
+    let rawDelta;
+    if (this.fixedStep !== null) {
+      rawDelta = this.fixedStep;
+    } else {
+      rawDelta = this.lastNow === null ? 0 : Math.min(this.maxDelta, Math.max(0, (now - this.lastNow) / 1000));
+    }
+    this.lastNow = now;
+
+    this.delta = this.paused ? 0 : rawDelta * this.timeScale;
+    this.elapsed += this.delta;
+    this.frame++;
+    return this.delta;
+  }
+
+  /**
+   * Animation time in milliseconds, for APIs that take millisecond timestamps
+   * @returns {number}
+   */
+  get elapsedMs() {
+    return this.elapsed * 1000;
+  }
+
+  /**
+   * Freeze animation time (ticks keep running with a delta of 0)
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Continue animation time from where it was paused
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Toggle between paused and running
+   * @returns {boolean} Whether the clock is now paused
+   */
+  togglePause() {
+    this.paused = !this.paused;
+    return this.paused;
+  }
+
+  /**
+   * Set the animation speed multiplier (0.5 = half speed, 2 = double speed)
+   * @param {number} scale - Non-negative multiplier
+   */
+  setTimeScale(scale) {
+    if (!(scale >= 0)) {
+      console.warn(`Clock: Invalid time scale ${scale}, expected a number >= 0`);
+      return;
+    }
+    this.timeScale = scale;
+  }
+
+  /**
+   * Switch between real time and fixed steps
+   * @param {number|null} step - Seconds to advance per tick, or null to follow the wall clock
+   */
+  setFixedStep(step) {
+    this.fixedStep = step;
+  }
+
+  /**
+   * Advance several ticks at once (fixed-step mode), e.g. to fast-forward a test
+   * @param {number} ticks - Number of ticks
+   * @param {function} onTick - Optional function(delta, elapsed) called after each tick
+   */
+  advance(ticks, onTick = null) {
+    for (let i = 0; i < ticks; i++) {
+      this.tick(this.lastNow ?? 0);
+      onTick?.(this.delta, this.elapsed);
+    }
+  }
+
+  /**
+   * Return to time 0, keeping time scale, pause and fixed-step settings
+   */
+  reset() {
+    this.delta = 0;
+    this.elapsed = 0;
+    this.frame = 0;
+    this.lastNow = null;
+  }
+}
+
+// Shared clock driven by the main animation loop
+export const clock = new Clock();
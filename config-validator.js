@@ -0,0 +1,295 @@
+// Config Validator Module
+// Validates effects-config.json and audio-config.json against the JSON Schemas in schemas/
+// Has no dependencies so the same checks run in the browser and in scripts/validate-configs.js
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the subset of draft 2020-12 used by the schemas in schemas/:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minItems, maxItems, minLength, minimum, maximum, exclusiveMinimum, pattern,
+ * anyOf, allOf, if/then/else and local `$ref`s ("#/$defs/...").
+ * @param {*} value - The parsed JSON to check
+ * @param {object} schema - The root schema
+ * @returns {Array<object>} Errors as { path, message }, where path is e.g. "zones[2].bounds.max"
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  checkValue(value, schema, [], schema, errors);
+  return errors.map(({ path, message }) => ({ path: formatPath(path), message }));
+}
+
+/**
+ * Validate an effects config and drop the zones that fail
+ * Invalid zones are removed so the rest of the scene still works; an invalid
+ * top-level `defaults`, `fog` or `lighting` block falls back to the built-in defaults.
+ * @param {object} config - Parsed effects-config.json
+ * @param {object} schema - schemas/effects-config.schema.json
+ * @returns {object} { config, errors } with the usable part of the config
+ */
+export function validateEffectsConfig(config, schema) {
+  const errors = [];
+  checkValue(config, schema, [], schema, errors);
+
+  // Zone IDs key visits, state and hot reload diffs, so they must be unique
+  const zones = Array.isArray(config?.zones) ? config.zones : [];
+  const seenIds = new Set();
+  zones.forEach((zone, index) => {
+    if (typeof zone?.id !== 'string') return;
+    if (seenIds.has(zone.id)) {
+      errors.push({ path: ['zones', index, 'id'], message: `duplicate zone ID "${zone.id}"` });
+    }
+    seenIds.add(zone.id);
+  });
+
+  const invalidZones = collectInvalidIndices(errors, 'zones');
+  // Optional top-level blocks are dropped as a whole if they fail
+  const usable = {};
+  for (const key of ['defaults', 'fog', 'lighting']) {
+    if (config?.[key] && !errors.some(error => error.path[0] === key)) {
+      usable[key] = config[key];
+    }
+  }
+  usable.zones = zones.filter((_, index) => !invalidZones.has(index));
+
+  return {
+    config: usable,
+    errors: errors.map(({ path, message }) => ({ path: formatPath(path), message }))
+  };
+}
+
+/**
+ * Validate an audio config and drop the sources that fail
+ * @param {Array<object>} config - Parsed audio-config.json
+ * @param {object} schema - schemas/audio-config.schema.json
+ * @returns {object} { config, errors } with only the valid sources
+ */
+export function validateAudioConfig(config, schema) {
+  const errors = [];
+  checkValue(config, schema, [], schema, errors);
+
+  const sources = Array.isArray(config) ? config : [];
+  const invalidSources = collectInvalidIndices(errors);
+
+  return {
+    config: sources.filter((_, index) => !invalidSources.has(index)),
+    errors: errors.map(({ path, message }) => ({ path: formatPath(path), message }))
+  };
+}
+
+/**
+ * Report validation errors to the debug console (or the browser console if it isn't loaded)
+ * @param {string} fileName - Config file name shown in front of each path
+ * @param {Array<object>} errors - Errors from one of the validate functions
+ */
+export function reportConfigErrors(fileName, errors) {
+  for (const { path, message } of errors) {
+    const text = `${fileName}: ${path}: ${message}`;
+    if (typeof window !== 'undefined' && window.debugLogHigh) {
+      window.debugLogHigh('error', text);
+    } else {
+      console.warn(text);
+    }
+  }
+}
+
+/**
+ * Turn a path array into a readable string
+ * @param {Array<string|number>} path - e.g. ['zones', 2, 'bounds', 'max']
+ * @returns {string} e.g. "zones[2].bounds.max", or "(root)" for the empty path
+ */
+export function formatPath(path) {
+  if (path.length === 0) return '(root)';
+  return path.reduce((text, key) => {
+    if (typeof key === 'number') return `${text}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return text ? `${text}.${key}` : key;
+    return `${text}[${JSON.stringify(key)}]`;
+  }, '');
+}
+
+/**
+ * Find the array indices that have at least one error below them
+ * @param {Array<object>} errors - Raw errors with path arrays
+ * @param {string} key - Top-level key holding the array (omit for a root array)
+ * @returns {Set<number>}
+ */
+function collectInvalidIndices(errors, key = null) {
+  const offset = key === null ? 0 : 1;
+  const indices = new Set();
+  for (const { path } of errors) {
+    if (key !== null && path[0] !== key) continue;
+    if (typeof path[offset] === 'number') indices.add(path[offset]);
+  }
+  return indices;
+}
+
+/**
+ * Resolve a local "#/..." reference against the root schema
+ * @param {string} ref - JSON pointer reference
+ * @param {object} root - The root schema
+ * @returns {object}
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported: ${ref}`);
+  }
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolved schema reference: ${ref}`);
+    }
+    return node[key];
+  }, root);
+}
+
+/**
+ * Check whether a value has a JSON Schema type
+ * @param {*} value - The value
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean}
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+/**
+ * Recursively validate a value, pushing { path, message } errors with path arrays
+ */
+function checkValue(value, schema, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    checkValue(value, resolveRef(schema.$ref, root), path, root, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${describe(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}, got ${value}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must not be shorter than ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s), got ${value.length}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s), got ${value.length}` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => checkValue(item, schema.items, [...path, index], root, errors));
+    }
+  }
+
+  if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: [...path, key], message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties && key in schema.properties) {
+        checkValue(child, schema.properties[key], [...path, key], root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: [...path, key], message: 'is not a known property' });
+      } else if (schema.additionalProperties !== undefined) {
+        checkValue(child, schema.additionalProperties, [...path, key], root, errors);
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    checkValue(value, subschema, path, root, errors);
+  }
+
+  if (schema.anyOf) {
+    checkAnyOf(value, schema.anyOf, path, root, errors);
+  }
+
+  if (schema.if !== undefined) {
+    const conditionErrors = [];
+    checkValue(value, schema.if, path, root, conditionErrors);
+    const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) {
+      checkValue(value, branch, path, root, errors);
+    }
+  }
+}
+
+/**
+ * Validate anyOf, reporting the closest branch's errors when none match
+ * Branches whose `type` already rules the value out are only used when no
+ * other branch applies, so e.g. a bad list item is reported at the item.
+ */
+function checkAnyOf(value, branches, path, root, errors) {
+  const results = [];
+  for (const branch of branches) {
+    const branchErrors = [];
+    checkValue(value, branch, path, root, branchErrors);
+    if (branchErrors.length === 0) return;
+    const type = (branch.$ref ? resolveRef(branch.$ref, root) : branch).type;
+    results.push({ type, errors: branchErrors });
+  }
+
+  const applicable = results.filter(({ type }) => type === undefined || [].concat(type).some(t => isType(value, t)));
+  if (applicable.length === 0) {
+    errors.push({ path, message: `expected ${results.flatMap(({ type }) => type).join(' or ')}, got ${describe(value)}` });
+    return;
+  }
+  const closest = applicable.reduce((best, result) => (result.errors.length < best.errors.length ? result : best));
+  errors.push(...closest.errors);
+}
+
+/**
+ * Short description of a value's JSON type for error messages
+ * @param {*} value - The value
+ * @returns {string}
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return `string ${JSON.stringify(value)}`;
+  if (typeof value === 'number') return `number ${value}`;
+  return typeof value;
+}
@@ -0,0 +1,183 @@
+// Debug Labels Module
+// Billboarded text labels naming zones, audio sources and floating light clusters in local development
+
+import * as THREE from "three";
+import { createTextSprite, updateTextSprite, disposeTextSprite } from './text-sprite.js';
+import { spatialAudioSources, getAudioEnabled } from './audio.js';
+
+// Label text is redrawn to canvas textures, so refresh it a few times a second rather than every frame
+const TEXT_REFRESH_INTERVAL = 250; // ms
+
+// Label colors per kind of object
+const ZONE_LABEL_COLOR = '#66ff66';
+const AUDIO_LABEL_COLOR = '#ff8080';
+const LIGHTS_LABEL_COLOR = '#ffffaa';
+
+// Offset of audio labels above their marker spheres
+const AUDIO_LABEL_OFFSET = new THREE.Vector3(0, 0.4, 0);
+
+/**
+ * Debug Labels
+ * Keeps one label per zone, spatial audio source and floating light cluster,
+ * adding and removing labels as those come and go (e.g. after a hot reload).
+ */
+export class DebugLabels {
+  /**
+   * @param {THREE.Scene} scene - Scene to add labels to
+   * @param {object} options - Sources of labeled objects
+   * @param {EffectZoneManager} options.zoneManager - Zones to label (optional)
+   * @param {FloatingLightsManager} options.floatingLights - Light clusters to label (optional)
+   */
+  constructor(scene, { zoneManager = null, floatingLights = null } = {}) {
+    this.scene = scene;
+    this.zoneManager = zoneManager;
+    this.floatingLights = floatingLights;
+
+    this.group = new THREE.Group();
+    this.group.name = 'DebugLabels';
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    this.labels = new Map(); // Map of label key -> sprite
+    this.lastTextUpdate = -Infinity;
+  }
+
+  /**
+   * Toggle label visibility
+   * @returns {boolean} Whether labels are now visible
+   */
+  toggle() {
+    this.group.visible = !this.group.visible;
+    this.lastTextUpdate = -Infinity; // Refresh text immediately when shown
+    if (!this.group.visible) {
+      this.clear();
+    }
+    return this.group.visible;
+  }
+
+  /**
+   * Update label positions and text (no-op while hidden)
+   * @param {THREE.Vector3} listenerPosition - Camera world position, for audio distance gain
+   * @param {number} time - Current time in milliseconds
+   */
+  update(listenerPosition, time = performance.now()) {
+    if (!this.group.visible) return;
+
+    const refreshText = time - this.lastTextUpdate >= TEXT_REFRESH_INTERVAL;
+    if (refreshText) {
+      this.lastTextUpdate = time;
+    }
+
+    const seen = new Set();
+    const setLabel = (key, color, position, getText) => {
+      seen.add(key);
+      let sprite = this.labels.get(key);
+      if (!sprite) {
+        sprite = createTextSprite(getText(), { color, height: 0.15 });
+        this.labels.set(key, sprite);
+        this.group.add(sprite);
+      } else if (refreshText) {
+        updateTextSprite(sprite, getText());
+      }
+      sprite.position.copy(position);
+    };
+
+    // Zone visualization (Z) labels each zone already, so don't stack a second label on it
+    const zonesLabeled = this.zoneManager?.visualizationVisible && this.zoneManager.visualizationOptions.label;
+    if (this.zoneManager && !zonesLabeled) {
+      for (const zone of this.zoneManager.zones) {
+        setLabel(`zone:${zone.id}`, ZONE_LABEL_COLOR, zone.center, () => {
+          const active = this.zoneManager.activeZones.has(zone.id);
+          const weight = this.zoneManager.getZoneWeight(zone.id);
+          return `zone ${zone.id} (${zone.type})\n${active ? 'active' : 'inactive'}  weight ${weight.toFixed(2)}`;
+        });
+      }
+    }
+
+    spatialAudioSources.forEach((source) => {
+      const position = source.position.clone().add(AUDIO_LABEL_OFFSET);
+      setLabel(source, AUDIO_LABEL_COLOR, position, () => describeAudioSource(source, listenerPosition));
+    });
+
+    if (this.floatingLights) {
+      for (const [zoneId, zoneData] of this.floatingLights.activeZones) {
+        const centroid = new THREE.Vector3();
+        for (const particle of zoneData.particles) {
+          centroid.add(particle.sphere.position);
+        }
+        centroid.divideScalar(Math.max(1, zoneData.particles.length));
+
+        setLabel(`lights:${zoneId}`, LIGHTS_LABEL_COLOR, centroid, () => {
+          const count = zoneData.particles.length;
+          const visible = Math.min(count, Math.ceil(zoneData.weight * count));
+          return `lights ${zoneId}\n${visible}/${count}  weight ${zoneData.weight.toFixed(2)}  fade ${zoneData.fade.toFixed(2)}`;
+        });
+      }
+    }
+
+    // Drop labels whose object no longer exists
+    for (const [key, sprite] of this.labels) {
+      if (!seen.has(key)) {
+        disposeTextSprite(sprite);
+        this.labels.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove all labels and free their textures
+   */
+  clear() {
+    for (const sprite of this.labels.values()) {
+      disposeTextSprite(sprite);
+    }
+    this.labels.clear();
+  }
+}
+
+/**
+ * Label text for a spatial audio source
+ * @param {object} source - An entry of spatialAudioSources
+ * @param {THREE.Vector3} listenerPosition - Camera world position
+ * @returns {string}
+ */
+function describeAudioSource(source, listenerPosition) {
+  const fileName = decodeURIComponent(source.url.split('/').pop());
+  const distance = listenerPosition.distanceTo(source.position);
+  const gain = source.audio.getVolume() * distanceGain(source.audio, distance);
+
+  const details = [`${distance.toFixed(1)}m`, `gain ${gain.toFixed(2)}`];
+  if (source.triggerRadius) {
+    details.push(`trigger ${source.triggerRadius}m${source.triggered ? ' (fired)' : ''}`);
+  }
+  if (source.zone) {
+    details.push(`zone ${source.zone}`);
+  }
+  const state = !getAudioEnabled() ? 'muted' : source.audio.isPlaying ? 'playing' : 'stopped';
+
+  return `${fileName} [${state}]\n${details.join('  ')}`;
+}
+
+/**
+ * Distance attenuation applied by a PositionalAudio's panner node
+ * Mirrors the Web Audio distance models so the label shows what the listener hears.
+ * @param {THREE.PositionalAudio} audio - The positional audio
+ * @param {number} distance - Listener distance in meters
+ * @returns {number} Gain factor in [0, 1]
+ */
+function distanceGain(audio, distance) {
+  const ref = audio.getRefDistance();
+  const rolloff = audio.getRolloffFactor();
+  const max = audio.getMaxDistance();
+
+  switch (audio.getDistanceModel()) {
+    case 'linear': {
+      const d = THREE.MathUtils.clamp(distance, ref, max);
+      return max > ref ? 1 - rolloff * (d - ref) / (max - ref) : 1;
+    }
+    case 'exponential':
+      return Math.pow(Math.max(distance, ref) / ref, -rolloff);
+    default: // 'inverse'
+      return ref / (ref + rolloff * (Math.max(distance, ref) - ref));
+  }
+}
@@ -2,59 +2,171 @@
 // Manages spatial zones that trigger visual effects when the user enters/exits
 
 import * as THREE from "three";
-import { SplatMesh, constructGrid } from "@sparkjsdev/spark";
+import { parseZoneShape, isPointInShape, signedDistanceToShape } from './zone-shapes.js';
+import { ZoneGridIndex } from './zone-index.js';
+import { sceneState } from './scene-state.js';
+import { createZoneVisual, setZoneVisualColor, disposeZoneVisual } from './zone-visuals.js';
+import { validateEffectsConfig, reportConfigErrors } from './config-validator.js';
+import effectsConfigSchema from './schemas/effects-config.schema.json';
+
+// Zone visualization colors
+const ZONE_INACTIVE_COLOR = 0x00ff00;
+const ZONE_ACTIVE_COLOR = 0xff0000;
+
+/**
+ * How overlapping zones combine an effect's numeric parameters
+ * - max:               each parameter takes the largest weighted value, weight is the largest weight
+ * - override:          the highest-priority zone wins outright and hides lower-priority zones
+ * - additive:          parameters are summed, each scaled by its zone's weight
+ * - average-by-weight: parameters are averaged using zone weights
+ */
+export const BLEND_MODES = ['max', 'override', 'additive', 'average-by-weight'];
+
+// Effect config keys that control the effect itself rather than being blended
+const BLEND_RESERVED_KEYS = new Set(['enabled', 'blend', 'onVisit', 'when']);
 
 /**
  * Effect Zone Manager
  * Handles zone detection and effect lifecycle
  */
 export class EffectZoneManager {
-  constructor(scene = null) {
+  constructor(scene = null, state = sceneState) {
+    this.config = null; // The configuration last passed to loadConfig
     this.zones = [];
+    this.zonesById = new Map(); // Map of zoneId -> zone
+    this.spatialIndex = new ZoneGridIndex(); // Broad-phase lookup of zones near a point
     this.activeZones = new Set(); // Zone IDs the user is currently inside
+    this.zoneWeights = new Map(); // Map of zoneId -> 0..1 blend weight from the feathered boundary
+    this.pendingTransitions = new Map(); // Map of zoneId -> time (ms) an enter/exit was first seen
+    this.visits = new Map(); // Map of zoneId -> visit record (see getVisitHistory)
+    this.enabledEffects = new Map(); // Map of active zoneId -> Set of effect names whose conditions pass
     this.callbacks = {
       onEnter: [],
-      onExit: []
+      onExit: [],
+      onDwell: [],
+      onFirstVisit: [],
+      onEffectsChange: []
     };
+
+    // Conditional effects (`when`) depend on scene state, so re-check them whenever it changes
+    this.state = state;
+    this.state.subscribe(() => this.reevaluateConditions());
     this.scene = scene;
     this.visualizationGroup = null;
     this.visualizationVisible = false;
-    this.zoneGrids = new Map(); // Map of zoneId -> SplatMesh grid
-    this.zoneGridColors = new Map(); // Map of zoneId -> current color (to track changes)
+    this.visualizationOptions = { fill: true, label: true }; // See createZoneVisual
+    this.zoneVisuals = new Map(); // Map of zoneId -> visualization group
+    this.zoneVisualColors = new Map(); // Map of zoneId -> current color (to track changes)
   }
 
   /**
    * Load zones from configuration
+   * Can be called again with an edited config (e.g. on hot reload): zones are
+   * diffed by ID against the current set, active zones that were removed are
+   * exited, and only the visualization of affected zones is rebuilt.
    * @param {object} config - The effects configuration object
+   * @returns {object} { added, removed, changed } arrays of zone IDs
    */
   loadConfig(config) {
+    const diff = { added: [], removed: [], changed: [] };
     if (!config || !config.zones) {
       console.warn('EffectZoneManager: No zones found in config');
-      return;
+      return diff;
     }
 
-    this.zones = config.zones.map(zoneConfig => ({
-      id: zoneConfig.id,
-      type: zoneConfig.type || 'box',
-      bounds: {
-        min: new THREE.Vector3(...zoneConfig.bounds.min),
-        max: new THREE.Vector3(...zoneConfig.bounds.max)
-      },
-      effects: zoneConfig.effects || {}
-    }));
+    // Global defaults, overridable per zone
+    const defaults = {
+      hysteresis: 0, // Distance past the boundary before an active zone counts as exited
+      debounce: 0,   // Seconds an enter/exit must persist before callbacks fire
+      ...config.defaults
+    };
+
+    this.config = config;
+    const previousZones = this.zonesById;
+    this.zones = [];
+    for (const zoneConfig of config.zones) {
+      const shape = parseZoneShape(zoneConfig);
+      if (!shape) {
+        console.warn(`EffectZoneManager: Unknown zone type "${zoneConfig.type}" for zone "${zoneConfig.id}", skipping`);
+        continue;
+      }
+      this.zones.push({
+        id: zoneConfig.id,
+        ...shape,
+        priority: zoneConfig.priority || 0, // Higher priority zones win when overlapping effects are blended
+        feather: zoneConfig.feather || 0, // Distance inside the boundary over which effects ramp in
+        hysteresis: zoneConfig.hysteresis ?? defaults.hysteresis,
+        debounce: zoneConfig.debounce ?? defaults.debounce,
+        // Seconds inside the zone at which onDwell fires, once per visit
+        dwell: [].concat(zoneConfig.dwell ?? []).sort((a, b) => a - b),
+        // Scene state actions applied on enter/exit
+        actions: {
+          enter: zoneConfig.onEnter || null,
+          exit: zoneConfig.onExit || null
+        },
+        effects: zoneConfig.effects || {},
+        // Serialized config (with resolved defaults) used to detect changes on reload
+        source: JSON.stringify([zoneConfig, defaults])
+      });
+    }
+
+    this.zonesById = new Map(this.zones.map(zone => [zone.id, zone]));
+
+    // Diff against the previously loaded zones
+    for (const zone of this.zones) {
+      const previous = previousZones.get(zone.id);
+      if (!previous) {
+        diff.added.push(zone.id);
+      } else if (previous.source !== zone.source) {
+        diff.changed.push(zone.id);
+      }
+    }
+    for (const [zoneId, previous] of previousZones) {
+      if (this.zonesById.has(zoneId)) continue;
+      diff.removed.push(zoneId);
+      this.pendingTransitions.delete(zoneId);
+      this.zoneWeights.delete(zoneId);
+      if (this.activeZones.has(zoneId)) {
+        this.activeZones.delete(zoneId);
+        this.enabledEffects.delete(zoneId);
+        this.callbacks.onExit.forEach(cb => cb(previous));
+      }
+    }
+    for (const zoneId of diff.changed) {
+      // Changed zones stay active; update() exits them if they no longer contain the camera
+      if (this.activeZones.has(zoneId)) {
+        this.enabledEffects.set(zoneId, this.getEnabledEffectNames(this.zonesById.get(zoneId)));
+      }
+    }
+
+    // Index zone bounds for sub-linear point queries in update()
+    this.spatialIndex.build(this.zones.map(zone => ({
+      item: zone,
+      min: zone.bounds.min,
+      max: zone.bounds.max
+    })));
 
     // print the zone IDs to the console
     console.log(`EffectZoneManager: Zone IDs: ${this.zones.map(zone => zone.id).join(', ')}`);
     console.log(`EffectZoneManager: Loaded ${this.zones.length} zones`);
     
-    // Create visualization if scene is available
-    if (this.scene) {
+    // Create visualization if scene is available, or refresh only the zones that changed
+    if (this.visualizationGroup) {
+      for (const zoneId of [...diff.removed, ...diff.changed]) {
+        this.removeZoneVisual(zoneId);
+      }
+      for (const zoneId of [...diff.added, ...diff.changed]) {
+        this.addZoneVisual(this.zonesById.get(zoneId));
+      }
+    } else if (this.scene) {
       this.createVisualization();
     }
+
+    return diff;
   }
 
   /**
-   * Create SparkJS grids for zone visualization
+   * Create zone visualization (hidden until toggled)
    */
   createVisualization() {
     if (!this.scene) {
@@ -62,70 +174,14 @@ export class EffectZoneManager {
       return;
     }
 
-    // Create a group to hold all zone grids
+    // Create a group to hold all zone visuals
     this.visualizationGroup = new THREE.Group();
     this.visualizationGroup.name = 'EffectZoneVisualization';
     this.scene.add(this.visualizationGroup);
 
-    // Create grid for each zone
+    // Create outline, fill and label for each zone
     for (const zone of this.zones) {
-      if (zone.type === 'box') {
-        // Create a Box3 for the extents
-        const extents = new THREE.Box3(zone.bounds.min.clone(), zone.bounds.max.clone());
-        
-        // Create SplatMesh with grid construction
-        const grid = new SplatMesh({
-          constructSplats: (splats) => constructGrid({
-            splats,
-            extents: extents,
-            stepSize: 0.5, // Grid spacing - adjust for density
-            pointRadius: 0.01, // Size of each grid point
-            opacity: 0.6,
-            color: new THREE.Color(0x00ff00) // Green for inactive zones
-          }),
-        });
-        
-        grid.userData.zoneId = zone.id;
-        
-        // Store reference and initial color state
-        this.zoneGrids.set(zone.id, grid);
-        this.zoneGridColors.set(zone.id, 0x00ff00); // Track color state
-        this.visualizationGroup.add(grid);
-      } else if (zone.type === 'sphere') {
-        // For sphere zones, we'll create a bounding box grid
-        // Sphere zones: bounds.min is center, bounds.max.x is radius
-        const center = zone.bounds.min;
-        const radius = zone.bounds.max.x;
-        const min = new THREE.Vector3(
-          center.x - radius,
-          center.y - radius,
-          center.z - radius
-        );
-        const max = new THREE.Vector3(
-          center.x + radius,
-          center.y + radius,
-          center.z + radius
-        );
-        
-        const extents = new THREE.Box3(min, max);
-        
-        const grid = new SplatMesh({
-          constructSplats: (splats) => constructGrid({
-            splats,
-            extents: extents,
-            stepSize: 0.5,
-            pointRadius: 0.01,
-            opacity: 0.6,
-            color: new THREE.Color(0x00ff00)
-          }),
-        });
-        
-        grid.userData.zoneId = zone.id;
-        
-        this.zoneGrids.set(zone.id, grid);
-        this.zoneGridColors.set(zone.id, 0x00ff00); // Track color state
-        this.visualizationGroup.add(grid);
-      }
+      this.addZoneVisual(zone);
     }
 
     // Start hidden
@@ -134,7 +190,44 @@ export class EffectZoneManager {
   }
 
   /**
-   * Toggle visibility of zone grids
+   * Add a zone's outline, fill and label to the visualization
+   * @param {object} zone - The zone to visualize
+   */
+  addZoneVisual(zone) {
+    const colorHex = this.activeZones.has(zone.id) ? ZONE_ACTIVE_COLOR : ZONE_INACTIVE_COLOR;
+    const visual = createZoneVisual(zone, colorHex, this.visualizationOptions);
+    this.zoneVisuals.set(zone.id, visual);
+    this.zoneVisualColors.set(zone.id, colorHex);
+    this.visualizationGroup.add(visual);
+  }
+
+  /**
+   * Remove a zone's visualization and free its GPU resources
+   * @param {string} zoneId - Zone identifier
+   */
+  removeZoneVisual(zoneId) {
+    const visual = this.zoneVisuals.get(zoneId);
+    if (!visual) return;
+    disposeZoneVisual(visual);
+    this.zoneVisuals.delete(zoneId);
+    this.zoneVisualColors.delete(zoneId);
+  }
+
+  /**
+   * Remove the whole visualization and free its GPU resources
+   */
+  disposeVisualization() {
+    if (!this.visualizationGroup) return;
+    for (const zoneId of [...this.zoneVisuals.keys()]) {
+      this.removeZoneVisual(zoneId);
+    }
+    this.scene.remove(this.visualizationGroup);
+    this.visualizationGroup = null;
+    this.visualizationVisible = false;
+  }
+
+  /**
+   * Toggle visibility of zone visuals
    */
   toggleVisualization() {
     if (!this.visualizationGroup) {
@@ -152,71 +245,15 @@ export class EffectZoneManager {
   }
 
   /**
-   * Update grid colors based on active zones
-   * Recreates grids when color needs to change
+   * Update zone colors based on active zones
+   * Only material colors change, so this is cheap enough to run every frame
    */
   updateVisualizationColors() {
-    for (const [zoneId, grid] of this.zoneGrids) {
-      const isActive = this.activeZones.has(zoneId);
-      const targetColorHex = isActive ? 0xff0000 : 0x00ff00; // Red if active, green if inactive
-      const currentColorHex = this.zoneGridColors.get(zoneId);
-      
-      // Only recreate if color changed
-      if (currentColorHex !== targetColorHex) {
-        // Remove old grid
-        this.visualizationGroup.remove(grid);
-        
-        // Find the zone to recreate grid
-        const zone = this.zones.find(z => z.id === zoneId);
-        if (!zone) continue;
-        
-        // Create new grid with updated color
-        let newGrid;
-        if (zone.type === 'box') {
-          const extents = new THREE.Box3(zone.bounds.min.clone(), zone.bounds.max.clone());
-          newGrid = new SplatMesh({
-            constructSplats: (splats) => constructGrid({
-              splats,
-              extents: extents,
-              stepSize: 0.5,
-              pointRadius: 0.01,
-              opacity: 0.6,
-              color: new THREE.Color(targetColorHex)
-            }),
-          });
-        } else if (zone.type === 'sphere') {
-          const center = zone.bounds.min;
-          const radius = zone.bounds.max.x;
-          const min = new THREE.Vector3(
-            center.x - radius,
-            center.y - radius,
-            center.z - radius
-          );
-          const max = new THREE.Vector3(
-            center.x + radius,
-            center.y + radius,
-            center.z + radius
-          );
-          const extents = new THREE.Box3(min, max);
-          
-          newGrid = new SplatMesh({
-            constructSplats: (splats) => constructGrid({
-              splats,
-              extents: extents,
-              stepSize: 0.5,
-              pointRadius: 0.01,
-              opacity: 0.6,
-              color: new THREE.Color(targetColorHex)
-            }),
-          });
-        }
-        
-        if (newGrid) {
-          newGrid.userData.zoneId = zoneId;
-          this.zoneGrids.set(zoneId, newGrid);
-          this.zoneGridColors.set(zoneId, targetColorHex);
-          this.visualizationGroup.add(newGrid);
-        }
+    for (const [zoneId, visual] of this.zoneVisuals) {
+      const targetColorHex = this.activeZones.has(zoneId) ? ZONE_ACTIVE_COLOR : ZONE_INACTIVE_COLOR; // Red if active, green if inactive
+      if (this.zoneVisualColors.get(zoneId) !== targetColorHex) {
+        setZoneVisualColor(visual, targetColorHex);
+        this.zoneVisualColors.set(zoneId, targetColorHex);
       }
     }
   }
@@ -237,6 +274,33 @@ export class EffectZoneManager {
     this.callbacks.onExit.push(callback);
   }
 
+  /**
+   * Register a callback for zone dwell events
+   * Fires once per visit for each of the zone's `dwell` times
+   * @param {function} callback - Function(zone, seconds) called after staying inside a zone
+   */
+  onDwell(callback) {
+    this.callbacks.onDwell.push(callback);
+  }
+
+  /**
+   * Register a callback for a zone's first visit this session
+   * Fires right after the zone's first onEnter
+   * @param {function} callback - Function(zone) called on the first entry into a zone
+   */
+  onFirstVisit(callback) {
+    this.callbacks.onFirstVisit.push(callback);
+  }
+
+  /**
+   * Register a callback for changes in a zone's enabled effects
+   * Fires while inside a zone when scene state flips one of its `when` conditions
+   * @param {function} callback - Function(zone, { added, removed }) with arrays of effect names
+   */
+  onEffectsChange(callback) {
+    this.callbacks.onEffectsChange.push(callback);
+  }
+
   /**
    * Check if a point is inside a zone
    * @param {THREE.Vector3} point - The point to check
@@ -244,41 +308,111 @@ export class EffectZoneManager {
    * @returns {boolean}
    */
   isInsideZone(point, zone) {
-    if (zone.type === 'box') {
-      return (
-        point.x >= zone.bounds.min.x && point.x <= zone.bounds.max.x &&
-        point.y >= zone.bounds.min.y && point.y <= zone.bounds.max.y &&
-        point.z >= zone.bounds.min.z && point.z <= zone.bounds.max.z
-      );
-    } else if (zone.type === 'sphere') {
-      // For sphere zones, bounds.min is center, bounds.max.x is radius
-      const center = zone.bounds.min;
-      const radius = zone.bounds.max.x;
-      return point.distanceTo(center) <= radius;
+    return isPointInShape(point, zone);
+  }
+
+  /**
+   * Compute a zone's blend weight from a signed distance to its boundary
+   * Zones without feather are binary; feathered zones ramp linearly from 0 at
+   * the boundary to 1 at `feather` distance inside it.
+   * @param {object} zone - The zone
+   * @param {number} distance - Signed distance (negative inside)
+   * @returns {number} Weight between 0 and 1
+   */
+  computeZoneWeight(zone, distance) {
+    if (zone.feather > 0) {
+      return THREE.MathUtils.clamp(-distance / zone.feather, 0, 1);
     }
-    return false;
+    return distance <= 0 ? 1 : 0;
+  }
+
+  /**
+   * Get the current blend weight of a zone
+   * @param {string} zoneId - Zone identifier
+   * @returns {number} Weight between 0 (outside) and 1 (fully inside)
+   */
+  getZoneWeight(zoneId) {
+    return this.zoneWeights.get(zoneId) || 0;
+  }
+
+  /**
+   * Get the zones that need an exact check for a point
+   * Combines the spatial index lookup with the currently active zones,
+   * which must still be tested so their exit can be detected.
+   * @param {THREE.Vector3} point - The point to query
+   * @returns {Set<object>} Candidate zones
+   */
+  getCandidateZones(point) {
+    const candidates = new Set(this.spatialIndex.query(point));
+    for (const zoneId of this.activeZones) {
+      const zone = this.zonesById.get(zoneId);
+      if (zone) candidates.add(zone);
+    }
+    return candidates;
   }
 
   /**
    * Update zone states based on camera position
    * Call this every frame in the animation loop
+   * Enter/exit uses a hysteresis band (a zone is entered at its boundary but
+   * only exited `hysteresis` meters outside it) and a debounce time, so small
+   * head movements on a zone edge don't toggle effects every frame.
    * @param {THREE.Vector3} cameraWorldPos - Current camera world position
+   * @param {number} time - Current time in milliseconds
    */
-  update(cameraWorldPos) {
-    for (const zone of this.zones) {
+  update(cameraWorldPos, time = performance.now()) {
+    const candidates = this.getCandidateZones(cameraWorldPos);
+
+    // Zones outside the candidate set are outside their bounds entirely
+    this.zoneWeights.clear();
+    for (const zoneId of this.pendingTransitions.keys()) {
+      if (!candidates.has(this.zonesById.get(zoneId))) {
+        this.pendingTransitions.delete(zoneId);
+      }
+    }
+
+    for (const zone of candidates) {
       const wasInside = this.activeZones.has(zone.id);
-      const isInside = this.isInsideZone(cameraWorldPos, zone);
+      const distance = signedDistanceToShape(cameraWorldPos, zone);
+      const isInside = wasInside ? distance <= zone.hysteresis : distance <= 0;
+
+      this.zoneWeights.set(zone.id, this.computeZoneWeight(zone, distance));
+
+      if (isInside === wasInside) {
+        // Back on the committed side before the debounce elapsed
+        this.pendingTransitions.delete(zone.id);
+        continue;
+      }
+
+      if (!this.pendingTransitions.has(zone.id)) {
+        this.pendingTransitions.set(zone.id, time);
+      }
+      if (time - this.pendingTransitions.get(zone.id) < zone.debounce * 1000) {
+        continue;
+      }
+      this.pendingTransitions.delete(zone.id);
 
-      if (isInside && !wasInside) {
+      if (isInside) {
         // Entered zone
         this.activeZones.add(zone.id);
+        const visit = this.recordEnter(zone, time);
+        this.state.apply(zone.actions.enter);
+        this.enabledEffects.set(zone.id, this.getEnabledEffectNames(zone));
         this.callbacks.onEnter.forEach(cb => cb(zone));
-      } else if (!isInside && wasInside) {
+        if (visit.count === 1) {
+          this.callbacks.onFirstVisit.forEach(cb => cb(zone));
+        }
+      } else {
         // Exited zone
         this.activeZones.delete(zone.id);
+        this.enabledEffects.delete(zone.id);
+        this.recordExit(zone, time);
+        this.state.apply(zone.actions.exit);
         this.callbacks.onExit.forEach(cb => cb(zone));
       }
     }
+
+    this.updateDwell(time);
     
     // Update visualization colors if visible
     if (this.visualizationVisible) {
@@ -286,6 +420,136 @@ export class EffectZoneManager {
     }
   }
 
+  /**
+   * Record the start of a visit to a zone
+   * @param {object} zone - The zone being entered
+   * @param {number} time - Current time in milliseconds
+   * @returns {object} The zone's visit record
+   */
+  recordEnter(zone, time) {
+    let visit = this.visits.get(zone.id);
+    if (!visit) {
+      visit = { count: 0, totalSeconds: 0, firstEnteredAt: time, lastEnteredAt: null, lastExitedAt: null, dwellFired: 0 };
+      this.visits.set(zone.id, visit);
+    }
+    visit.count++;
+    visit.lastEnteredAt = time;
+    visit.dwellFired = 0;
+    // Mirror the count into scene state so `when: { visited: ... }` conditions can read it
+    this.state.set(`visits.${zone.id}`, visit.count);
+    return visit;
+  }
+
+  /**
+   * Record the end of a visit to a zone
+   * @param {object} zone - The zone being exited
+   * @param {number} time - Current time in milliseconds
+   */
+  recordExit(zone, time) {
+    const visit = this.visits.get(zone.id);
+    if (!visit) return;
+    visit.totalSeconds += (time - visit.lastEnteredAt) / 1000;
+    visit.lastExitedAt = time;
+  }
+
+  /**
+   * Fire onDwell for active zones whose dwell times have elapsed this visit
+   * @param {number} time - Current time in milliseconds
+   */
+  updateDwell(time) {
+    for (const zoneId of this.activeZones) {
+      const zone = this.zonesById.get(zoneId);
+      const visit = this.visits.get(zoneId);
+      if (!zone || !visit) continue;
+
+      const seconds = (time - visit.lastEnteredAt) / 1000;
+      while (visit.dwellFired < zone.dwell.length && seconds >= zone.dwell[visit.dwellFired]) {
+        const dwellTime = zone.dwell[visit.dwellFired];
+        visit.dwellFired++;
+        this.callbacks.onDwell.forEach(cb => cb(zone, dwellTime));
+      }
+    }
+  }
+
+  /**
+   * Get how many times a zone has been entered this session
+   * The count includes the visit in progress.
+   * @param {string} zoneId - Zone identifier
+   * @returns {number}
+   */
+  getVisitCount(zoneId) {
+    return this.visits.get(zoneId)?.count || 0;
+  }
+
+  /**
+   * Get visit history for one zone or all zones
+   * Each record is { count, totalSeconds, firstEnteredAt, lastEnteredAt, lastExitedAt }
+   * with times in milliseconds on the clock passed to update().
+   * @param {string} zoneId - Zone identifier (optional, omit for all zones)
+   * @returns {object|null} A single record, or an object of zoneId -> record
+   */
+  getVisitHistory(zoneId) {
+    const toRecord = ({ count, totalSeconds, firstEnteredAt, lastEnteredAt, lastExitedAt }) =>
+      ({ count, totalSeconds, firstEnteredAt, lastEnteredAt, lastExitedAt });
+
+    if (zoneId !== undefined) {
+      const visit = this.visits.get(zoneId);
+      return visit ? toRecord(visit) : null;
+    }
+
+    const history = {};
+    for (const [id, visit] of this.visits) {
+      history[id] = toRecord(visit);
+    }
+    return history;
+  }
+
+  /**
+   * Check if a zone's effect applies right now
+   * Effects may restrict themselves to particular visits with `onVisit`
+   * (a visit number or array of numbers, e.g. `"onVisit": 2` for the second visit only)
+   * and to scene state with a `when` condition (see SceneState.matches).
+   * @param {object} zone - The zone
+   * @param {string} effectName - Name of the effect (e.g., 'flickering', 'floatingLights')
+   * @returns {boolean}
+   */
+  isEffectEnabled(zone, effectName) {
+    const effect = zone.effects[effectName];
+    if (!effect?.enabled) return false;
+    if (effect.onVisit !== undefined && !([].concat(effect.onVisit).includes(this.getVisitCount(zone.id)))) {
+      return false;
+    }
+    return this.state.matches(effect.when);
+  }
+
+  /**
+   * Get the names of a zone's effects that currently apply
+   * @param {object} zone - The zone
+   * @returns {Set<string>}
+   */
+  getEnabledEffectNames(zone) {
+    return new Set(Object.keys(zone.effects).filter(name => this.isEffectEnabled(zone, name)));
+  }
+
+  /**
+   * Re-check effect conditions for active zones after a state change
+   * Fires onEffectsChange for zones whose set of enabled effects changed.
+   */
+  reevaluateConditions() {
+    for (const [zoneId, previous] of this.enabledEffects) {
+      const zone = this.zonesById.get(zoneId);
+      if (!zone) continue;
+
+      const current = this.getEnabledEffectNames(zone);
+      const added = [...current].filter(name => !previous.has(name));
+      const removed = [...previous].filter(name => !current.has(name));
+      if (added.length === 0 && removed.length === 0) continue;
+
+      this.enabledEffects.set(zoneId, current);
+      this.callbacks.onEffectsChange.forEach(cb => cb(zone, { added, removed }));
+    }
+  }
+
   /**
    * Get all currently active zones
    * @returns {Array} Array of active zone objects
@@ -294,14 +558,23 @@ export class EffectZoneManager {
     return this.zones.filter(z => this.activeZones.has(z.id));
   }
 
+  /**
+   * Get active zones ordered by priority, highest first
+   * Zones with equal priority keep their config order.
+   * @returns {Array} Array of active zone objects
+   */
+  getActiveZonesByPriority() {
+    return this.getActiveZones().sort((a, b) => b.priority - a.priority);
+  }
+
   /**
    * Check if any active zone has a specific effect enabled
    * @param {string} effectName - Name of the effect (e.g., 'flickering', 'floatingLights')
-   * @returns {object|null} The effect config from the first matching zone, or null
+   * @returns {object|null} The effect config from the highest-priority matching zone, or null
    */
   getActiveEffect(effectName) {
-    for (const zone of this.getActiveZones()) {
-      if (zone.effects[effectName]?.enabled) {
+    for (const zone of this.getActiveZonesByPriority()) {
+      if (this.isEffectEnabled(zone, effectName)) {
         return { zone, config: zone.effects[effectName] };
       }
     }
@@ -309,41 +582,139 @@ export class EffectZoneManager {
   }
 
   /**
-   * Check if flickering should be active and get combined intensity
-   * @returns {object} { active: boolean, intensity: number, config: object }
+   * Resolve an effect across all active zones into a single config
+   * Contributions are ordered by zone priority. An `override` contribution
+   * hides everything after it; the rest are combined using the blend mode
+   * of the highest-priority contribution (see BLEND_MODES, default 'max').
+   * Numeric parameters are blended, other values come from the top zone.
+   * Callers scale intensity-like parameters by the returned weight.
+   * @param {string} effectName - Name of the effect (e.g., 'flickering')
+   * @returns {object} { active: boolean, weight: number, config: object|null, zones: Array }
    */
-  getFlickerState() {
-    const activeZones = this.getActiveZones();
-    let maxIntensity = 0;
-    let config = null;
-
-    for (const zone of activeZones) {
-      if (zone.effects.flickering?.enabled) {
-        // Use flickerAmount as intensity, take the highest from overlapping zones
-        const intensity = zone.effects.flickering.flickerAmount || 0.4;
-        if (intensity > maxIntensity) {
-          maxIntensity = intensity;
-          config = zone.effects.flickering;
+  getBlendedEffect(effectName) {
+    let contributions = [];
+    for (const zone of this.getActiveZonesByPriority()) {
+      const weight = this.getZoneWeight(zone.id);
+      if (weight > 0 && this.isEffectEnabled(zone, effectName)) {
+        contributions.push({ zone, config: zone.effects[effectName], weight });
+      }
+    }
+
+    if (contributions.length === 0) {
+      return { active: false, weight: 0, config: null, zones: [] };
+    }
+
+    // An override shadows every contribution ordered after it
+    const overrideIndex = contributions.findIndex(c => c.config.blend === 'override');
+    if (overrideIndex !== -1) {
+      contributions = contributions.slice(0, overrideIndex + 1);
+    }
+
+    const top = contributions[0];
+    const mode = top.config.blend || 'max';
+    const zones = contributions.map(c => c.zone);
+
+    if (mode === 'override' || contributions.length === 1) {
+      return { active: true, weight: top.weight, config: top.config, zones };
+    }
+
+    // Union of numeric parameters across contributions
+    const keys = new Set();
+    for (const { config } of contributions) {
+      for (const [key, value] of Object.entries(config)) {
+        if (typeof value === 'number' && !BLEND_RESERVED_KEYS.has(key)) {
+          keys.add(key);
         }
       }
     }
 
-    return {
-      active: maxIntensity > 0,
-      intensity: maxIntensity,
-      config: config
-    };
+    const config = { ...top.config };
+    const totalWeight = contributions.reduce((sum, c) => sum + c.weight, 0);
+    const maxWeight = Math.max(...contributions.map(c => c.weight));
+    let weight;
+
+    switch (mode) {
+      case 'additive': {
+        // Parameters are pre-divided by the combined weight so that
+        // `value * weight` equals the weighted sum
+        weight = Math.min(1, totalWeight);
+        for (const key of keys) {
+          const sum = contributions.reduce((acc, c) => acc + (c.config[key] ?? 0) * c.weight, 0);
+          config[key] = sum / weight;
+        }
+        break;
+      }
+
+      case 'average-by-weight': {
+        weight = maxWeight;
+        for (const key of keys) {
+          let sum = 0;
+          let keyWeight = 0;
+          for (const c of contributions) {
+            if (typeof c.config[key] === 'number') {
+              sum += c.config[key] * c.weight;
+              keyWeight += c.weight;
+            }
+          }
+          config[key] = sum / keyWeight;
+        }
+        break;
+      }
+
+      default: {
+        if (mode !== 'max') {
+          console.warn(`EffectZoneManager: Unknown blend mode "${mode}" for ${effectName} in zone "${top.zone.id}", using max`);
+        }
+        // Compare weighted values so a zone's feathered edge doesn't jump straight to full strength
+        weight = maxWeight;
+        for (const key of keys) {
+          config[key] = Math.max(...contributions
+            .filter(c => typeof c.config[key] === 'number')
+            .map(c => c.config[key] * c.weight)) / weight;
+        }
+        break;
+      }
+    }
+
+    return { active: true, weight, config, zones };
+  }
+
+  /**
+   * Get the zones where a volume-scoped shader effect (flickering, warp) currently applies
+   * Unlike other effects, these are scoped to each zone's own volume rather
+   * than to where the viewer stands, so every zone with the effect enabled is
+   * returned whether or not the camera is inside it. Overlapping regions are
+   * layered by priority in the shader instead of blended here.
+   * The shader only has a few region slots, so with a `limit` only the zones
+   * nearest `position` are kept, before sorting by priority. That way a distant
+   * high-priority zone can't push out the one the viewer is standing in.
+   * @param {string} effectName - Effect key (e.g. 'flickering')
+   * @param {object} options - { position: THREE.Vector3 to measure from, limit: maximum number of regions }
+   * @returns {Array} Array of { zone, config } objects, highest priority first
+   */
+  getEffectRegions(effectName, { position = null, limit = Infinity } = {}) {
+    let zones = this.zones.filter(zone => this.isEffectEnabled(zone, effectName));
+    if (position && zones.length > limit) {
+      zones = zones
+        .map(zone => ({ zone, distance: signedDistanceToShape(position, zone) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ zone }) => zone);
+    }
+    return zones
+      .sort((a, b) => b.priority - a.priority)
+      .map(zone => ({ zone, config: zone.effects[effectName] }));
   }
 
   /**
    * Get all floating light configs from active zones
-   * @returns {Array} Array of { zone, config } objects
+   * @returns {Array} Array of { zone, config, weight } objects, highest priority first
    */
   getFloatingLightZones() {
     const result = [];
-    for (const zone of this.getActiveZones()) {
-      if (zone.effects.floatingLights?.enabled) {
-        result.push({ zone, config: zone.effects.floatingLights });
+    for (const zone of this.getActiveZonesByPriority()) {
+      if (this.isEffectEnabled(zone, 'floatingLights')) {
+        result.push({ zone, config: zone.effects.floatingLights, weight: this.getZoneWeight(zone.id) });
       }
     }
     return result;
@@ -352,8 +723,10 @@ export class EffectZoneManager {
 
 /**
  * Load effects configuration from JSON file
+ * The config is returned as written, so tools like the zone editor keep
+ * every zone; pass it through checkEffectsConfig() before using it.
  * @param {function} getAssetUrl - Function to resolve asset URLs
- * @returns {Promise<object>} The loaded configuration
+ * @returns {Promise<object>} The parsed configuration
  */
 export async function loadEffectsConfig(getAssetUrl) {
   const configUrl = getAssetUrl('assets/effects-config.json');
@@ -369,3 +742,16 @@ export async function loadEffectsConfig(getAssetUrl) {
   }
 }
 
+/**
+ * Validate an effects configuration against schemas/effects-config.schema.json
+ * Each problem is reported to the debug console with its path (e.g.
+ * "zones[2].bounds.max: is required") and invalid zones are left out.
+ * @param {object} config - Parsed effects-config.json
+ * @returns {object} The config with only valid zones
+ */
+export function checkEffectsConfig(config) {
+  const { config: validConfig, errors } = validateEffectsConfig(config, effectsConfigSchema);
+  reportConfigErrors('effects-config.json', errors);
+  return validConfig;
+}
+
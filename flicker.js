@@ -2,8 +2,34 @@
 // Handles flickering light effect for splat meshes using DynoBlock
 // Modifies RGBA values to simulate flickering lights
 
+import * as THREE from "three";
+import { REGION_GLSL, createRegionUniforms, createOverflowWarning } from './splat-regions.js';
+
+// Maximum number of light emitters passed to the shader (uniform array size)
+export const MAX_FLICKER_EMITTERS = 8;
+
+// Maximum number of zone-scoped flicker regions evaluated at once
+export const MAX_FLICKER_REGIONS = 8;
+
+// Named flicker profiles, selected per zone with "preset" (values are the shader's preset IDs)
+export const FLICKER_PRESETS = {
+  horror: 0,         // Struggling mains light (the original profile)
+  candle: 1,         // Warm, slowly swaying flame
+  fluorescent: 2,    // Humming tube with starter stutter
+  'failing-bulb': 3, // Dim filament with brownouts and long dropouts
+  strobe: 4,         // Hard on/off, offWindowWidth sets the dark fraction
+  lightning: 5       // Dim storm light with rare bright double flashes
+};
+
 /**
  * Create a flicker modifier for a splat mesh
+ * By default the whole mesh flickers with the global parameters. Regions (see
+ * controls.setRegions) instead flicker only the splats inside zone volumes, each
+ * with its own settings, so several differently flickering rooms can be seen at
+ * once. Flicker can be further localized to light emitters (controls.setEmitters
+ * and a region's `emitters`): splats are dimmed in proportion to their distance
+ * from the nearest emitter. Positions are in the space the modifier runs in, so
+ * use it as a `worldModifier` for world-space zones and emitters.
  * @param {object} dyno - The dyno library object
  * @param {object} animateT - The animated time value (dynoFloat)
  * @param {object} options - Configuration options
@@ -17,7 +43,8 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
     onOffThreshold = 0.7,       // Threshold for on/off effect
     offWindowWidth = 0.15,      // Width of off window (smaller = shorter dark periods)
     colorShift = null,          // Optional color shift (vec3, e.g., [1.2, 1.0, 0.8] for warm)
-    initialIntensity = 1.0      // Initial intensity multiplier (0 = no effect, 1 = full effect)
+    initialIntensity = 1.0,     // Initial intensity multiplier (0 = no effect, 1 = full effect)
+    preset = 'horror'           // Default flicker profile (key of FLICKER_PRESETS)
   } = options;
   
   const flickerSpeedVal = dyno.dynoFloat(flickerSpeed);
@@ -26,6 +53,55 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
   const offWindowWidthVal = dyno.dynoFloat(offWindowWidth);
   // Dynamic intensity multiplier - can be changed at runtime for zone-based effects
   const intensityVal = dyno.dynoFloat(initialIntensity);
+  // Preset switches are a uniform change, the shader contains every profile
+  const defaultPreset = FLICKER_PRESETS[preset] ?? FLICKER_PRESETS.horror;
+  const presetVal = dyno.dynoInt(defaultPreset);
+  const resolvePreset = (name) => {
+    if (!(name in FLICKER_PRESETS)) {
+      console.warn(`Flicker: Unknown preset "${name}"`);
+      return defaultPreset;
+    }
+    return FLICKER_PRESETS[name];
+  };
+
+  const vec4Uniform = (count) => new dyno.DynoUniform({
+    type: "vec4",
+    count,
+    value: Array.from({ length: count }, () => new THREE.Vector4())
+  });
+
+  // Light emitters: xyz = position, w = radius; params x = falloff exponent, y = strength,
+  // z = owner (-1 for the whole mesh, otherwise a region index)
+  const emittersVal = vec4Uniform(MAX_FLICKER_EMITTERS);
+  const emitterParamsVal = vec4Uniform(MAX_FLICKER_EMITTERS);
+  const emitterCountVal = dyno.dynoInt(0);
+
+  // Zone-scoped regions: shapes from splat-regions.js, params x = speed, y = amount,
+  // z = on/off threshold, w = off window; settings x = intensity, y = preset ID,
+  // z = 1 if the region is lit by its own emitters rather than its volume
+  const regions = createRegionUniforms(dyno, MAX_FLICKER_REGIONS);
+  const regionParamsVal = vec4Uniform(MAX_FLICKER_REGIONS);
+  const regionSettingsVal = vec4Uniform(MAX_FLICKER_REGIONS);
+  const regionCountVal = dyno.dynoInt(0);
+
+  // The whole mesh and the regions share the emitter uniforms, so both lists are kept and written together
+  let meshEmitters = [];
+  let regionEmitters = [];
+  const warnEmitterOverflow = createOverflowWarning((count, max) =>
+    `Flicker: ${count} emitters active, only the first ${max} are used`, MAX_FLICKER_EMITTERS);
+  const warnRegionOverflow = createOverflowWarning((count, max) =>
+    `Flicker: ${count} regions active, only the first ${max} are used`, MAX_FLICKER_REGIONS);
+  const writeEmitters = () => {
+    const emitters = [...meshEmitters.map(emitter => ({ ...emitter, owner: -1 })), ...regionEmitters];
+    warnEmitterOverflow(emitters.length);
+    const count = Math.min(emitters.length, MAX_FLICKER_EMITTERS);
+    for (let i = 0; i < count; i++) {
+      const { position, radius, falloff = 1, strength = 1, owner } = emitters[i];
+      emittersVal.value[i].set(position[0], position[1], position[2], radius);
+      emitterParamsVal.value[i].set(falloff, strength, owner, 0);
+    }
+    emitterCountVal.value = count;
+  };
   
   const modifier = dyno.dynoBlock(
     { gsplat: dyno.Gsplat },
@@ -40,10 +116,21 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
           flickerAmount: "float",
           onOffThreshold: "float",
           offWindowWidth: "float",
-          intensity: "float"
+          intensity: "float",
+          preset: "int",
+          emitters: "vec4",
+          emitterParams: "vec4",
+          emitterCount: "int",
+          regionShapes: "vec4",
+          regionExtents: "vec4",
+          regionRotations: "vec4",
+          regionParams: "vec4",
+          regionSettings: "vec4",
+          regionCount: "int"
         },
         outTypes: { gsplat: dyno.Gsplat },
         globals: () => [
+          dyno.unindent(REGION_GLSL),
           dyno.unindent(`
             // Simple noise function for randomness
             float randomNoise(float x) {
@@ -58,10 +145,8 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
               return (n1 * 0.5 + n2 * 0.3 + n3 * 0.2);
             }
             
-            float flickerBrightness(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
-              // If intensity is 0, return 1.0 (no flickering effect)
-              if (intensity <= 0.0) return 1.0;
-              
+            // Preset "horror": struggling mains light with drops, blackouts, stutters and surges
+            float horrorFlicker(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
               // Base flickering with multiple sine waves at different frequencies
               float flicker1 = sin(t * speed);
               float flicker2 = sin(t * speed * 2.3);
@@ -121,9 +206,106 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
               if (deepDip < 0.12) {
                 intensityMultiplier *= 0.1 + deepDip; // Nearly black
               }
-              
+
+              return max(0.0, intensityMultiplier);
+            }
+
+            // Preset "candle": slow sway of a flame, guttering now and then in a draft
+            float candleFlicker(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
+              float sway = sin(t * speed * 3.0) * 0.5 + sin(t * speed * 7.3 + 1.7) * 0.3 + sin(t * speed * 13.1 + 0.4) * 0.2;
+              float jitter = (noise(floor(t * speed * 30.0)) - 0.5) * 0.3;
+              float scaledAmount = amount * intensity * 0.6;
+              float intensityMultiplier = 1.0 - scaledAmount * (0.5 - 0.5 * (sway + jitter));
+
+              // Drafts: the flame shrinks and shivers for a moment
+              float draft = noise(floor(t * speed * 2.0) * 0.37);
+              if (draft < threshold * intensity * 0.3) {
+                intensityMultiplier *= 0.6 + 0.4 * abs(sin(t * speed * 20.0));
+              }
+
+              return max(0.0, intensityMultiplier);
+            }
+
+            // Preset "fluorescent": steady tube with a mains hum and bursts of starter stutter
+            float fluorescentFlicker(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
+              float buzz = sin(t * speed * 60.0) * 0.5 + 0.5;
+              float intensityMultiplier = 1.0 - amount * intensity * 0.2 * buzz;
+
+              // Stutter bursts: the tube drops to a faint glow and back many times a second
+              float burst = noise(floor(t * speed * 2.0));
+              if (burst < threshold * intensity * 0.5) {
+                intensityMultiplier *= mix(0.15, 1.0, step(0.5, noise(t * speed * 40.0)));
+              }
+
+              return max(0.0, intensityMultiplier);
+            }
+
+            // Preset "failing-bulb": dim, unsteady filament that browns out and drops out for long stretches
+            float failingBulbFlicker(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
+              float wobble = sin(t * speed * 1.7) * 0.6 + sin(t * speed * 4.1) * 0.4;
+              float intensityMultiplier = 1.0 - amount * intensity * (0.6 + 0.4 * wobble);
+
+              // Brownouts: the filament sags to a dull glow
+              float sag = noise(floor(t * speed * 1.5));
+              if (sag < 0.3 * intensity) {
+                intensityMultiplier *= 0.4 + sag * 2.0;
+              }
+
+              // Dropouts: dark for the first offWindow fraction of a slow cycle
+              float cycle = t * speed * 0.8;
+              if (noise(floor(cycle)) < threshold * intensity && fract(cycle) < offWindow) {
+                intensityMultiplier = 0.0;
+              }
+
+              return max(0.0, intensityMultiplier);
+            }
+
+            // Preset "strobe": hard on/off at a fixed rate, offWindow is the dark fraction of each cycle
+            float strobeFlicker(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
+              float on = step(clamp(offWindow, 0.05, 0.95), fract(t * speed * 4.0));
+              return mix(1.0, on * (1.0 + amount), intensity);
+            }
+
+            // Preset "lightning": dimmed storm light with the occasional double flash of a distant strike
+            float lightningFlicker(float t, float speed, float amount, float threshold, float offWindow, float intensity) {
+              float intensityMultiplier = 1.0 - amount * intensity;
+
+              // At most one strike per cycle, flashing at the start of it
+              float cycle = t * speed * 0.5;
+              if (noise(floor(cycle)) < threshold * intensity) {
+                float s = fract(cycle) / max(speed * 0.5, 0.0001); // Seconds since the strike
+                float flash = exp(-s * 8.0) + 0.6 * step(0.15, s) * exp(-(s - 0.15) * 10.0);
+                intensityMultiplier += flash * 2.0 * intensity;
+              }
+
               return max(0.0, intensityMultiplier);
             }
+
+            float flickerBrightness(int preset, float t, float speed, float amount, float threshold, float offWindow, float intensity) {
+              // If intensity is 0, return 1.0 (no flickering effect)
+              if (intensity <= 0.0) return 1.0;
+
+              if (preset == ${FLICKER_PRESETS.candle}) return candleFlicker(t, speed, amount, threshold, offWindow, intensity);
+              if (preset == ${FLICKER_PRESETS.fluorescent}) return fluorescentFlicker(t, speed, amount, threshold, offWindow, intensity);
+              if (preset == ${FLICKER_PRESETS['failing-bulb']}) return failingBulbFlicker(t, speed, amount, threshold, offWindow, intensity);
+              if (preset == ${FLICKER_PRESETS.strobe}) return strobeFlicker(t, speed, amount, threshold, offWindow, intensity);
+              if (preset == ${FLICKER_PRESETS.lightning}) return lightningFlicker(t, speed, amount, threshold, offWindow, intensity);
+              return horrorFlicker(t, speed, amount, threshold, offWindow, intensity);
+            }
+
+            // Color cast of a preset's light, applied together with its brightness
+            vec3 flickerTint(int preset, float brightness, float intensity) {
+              // Candle flames are warm, and redden further as they dim
+              if (preset == ${FLICKER_PRESETS.candle}) {
+                float warmth = intensity * (0.6 + 0.4 * (1.0 - clamp(brightness, 0.0, 1.0)));
+                return mix(vec3(1.0), vec3(1.0, 0.8, 0.55), warmth);
+              }
+              // Storm light is cold
+              if (preset == ${FLICKER_PRESETS.lightning}) {
+                return mix(vec3(1.0), vec3(0.85, 0.9, 1.1), intensity);
+              }
+              return vec3(1.0);
+            }
           `)
         ],
         statements: ({ inputs, outputs }) => {
@@ -136,15 +318,67 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
           
           return dyno.unindentLines(`
             ${outputs.gsplat} = ${inputs.gsplat};
-            float brightness = flickerBrightness(
-              ${inputs.t}, 
-              ${inputs.flickerSpeed}, 
-              ${inputs.flickerAmount},
-              ${inputs.onOffThreshold},
-              ${inputs.offWindowWidth},
-              ${inputs.intensity}
-            );
-            ${outputs.gsplat}.rgba.rgb *= brightness;
+            vec3 center = ${inputs.gsplat}.center;
+
+            // How strongly this splat is lit by flickering emitters, per owner
+            float meshLight = 0.0;
+            bool meshHasEmitters = false;
+            float regionLight[${MAX_FLICKER_REGIONS}];
+            for (int i = 0; i < ${MAX_FLICKER_REGIONS}; i++) {
+              regionLight[i] = 0.0;
+            }
+            for (int i = 0; i < ${MAX_FLICKER_EMITTERS}; i++) {
+              if (i >= ${inputs.emitterCount}) break;
+              vec4 emitter = ${inputs.emitters}[i];
+              vec4 params = ${inputs.emitterParams}[i];
+              float falloff = clamp(1.0 - distance(center, emitter.xyz) / emitter.w, 0.0, 1.0);
+              float light = pow(falloff, params.x) * params.y;
+              int owner = int(params.z);
+              if (owner < 0) {
+                meshLight = max(meshLight, light);
+                meshHasEmitters = true;
+              } else {
+                regionLight[owner] = max(regionLight[owner], light);
+              }
+            }
+
+            vec3 flicker;
+            if (${inputs.regionCount} == 0) {
+              // No regions: the whole mesh (or its emitters) flickers with the global parameters
+              float brightness = flickerBrightness(
+                ${inputs.preset},
+                ${inputs.t},
+                ${inputs.flickerSpeed},
+                ${inputs.flickerAmount},
+                ${inputs.onOffThreshold},
+                ${inputs.offWindowWidth},
+                ${inputs.intensity}
+              );
+              vec3 tint = flickerTint(${inputs.preset}, brightness, ${inputs.intensity});
+              flicker = mix(vec3(1.0), brightness * tint, meshHasEmitters ? meshLight : 1.0);
+            } else {
+              // Regions are layered front to back: each one covers the regions after
+              // it by its weight at this splat, and the rest is left unchanged
+              flicker = vec3(0.0);
+              float remaining = 1.0;
+              for (int i = 0; i < ${MAX_FLICKER_REGIONS}; i++) {
+                if (i >= ${inputs.regionCount} || remaining <= 0.0) break;
+                vec4 params = ${inputs.regionParams}[i];
+                vec4 settings = ${inputs.regionSettings}[i];
+                float coverage = settings.z > 0.5
+                  ? regionLight[i]
+                  : regionWeight(center, ${inputs.regionShapes}[i], ${inputs.regionExtents}[i], ${inputs.regionRotations}[i]);
+                if (coverage <= 0.0) continue;
+
+                int regionPreset = int(settings.y);
+                float brightness = flickerBrightness(regionPreset, ${inputs.t}, params.x, params.y, params.z, params.w, settings.x);
+                flicker += remaining * coverage * brightness * flickerTint(regionPreset, brightness, settings.x);
+                remaining *= 1.0 - coverage;
+              }
+              flicker += vec3(remaining);
+            }
+
+            ${outputs.gsplat}.rgba.rgb *= flicker;
             ${colorMod}
           `);
         },
@@ -158,7 +392,17 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
         flickerAmount: flickerAmountVal,
         onOffThreshold: onOffThresholdVal,
         offWindowWidth: offWindowWidthVal,
-        intensity: intensityVal
+        intensity: intensityVal,
+        preset: presetVal,
+        emitters: emittersVal,
+        emitterParams: emitterParamsVal,
+        emitterCount: emitterCountVal,
+        regionShapes: regions.shapes,
+        regionExtents: regions.extents,
+        regionRotations: regions.rotations,
+        regionParams: regionParamsVal,
+        regionSettings: regionSettingsVal,
+        regionCount: regionCountVal
       }).gsplat;
       
       return { gsplat };
@@ -182,8 +426,55 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
       setOnOffThreshold: (value) => { onOffThresholdVal.value = value; },
       /** Set off window width */
       setOffWindowWidth: (value) => { offWindowWidthVal.value = value; },
+      /** Set the flicker profile by name (key of FLICKER_PRESETS) */
+      setPreset: (name) => { presetVal.value = resolvePreset(name); },
+      /** Get the current flicker profile name */
+      getPreset: () => Object.keys(FLICKER_PRESETS).find(name => FLICKER_PRESETS[name] === presetVal.value),
+      /**
+       * Localize whole-mesh flicker to a set of light emitters (an empty list flickers the whole mesh)
+       * @param {Array<object>} emitters - { position: [x, y, z], radius, falloff = 1, strength = 1 }
+       */
+      setEmitters: (emitters) => {
+        meshEmitters = emitters;
+        writeEmitters();
+      },
+      /**
+       * Flicker zone volumes independently instead of the whole mesh
+       * Regions are layered in the order given, so pass the highest priority first.
+       * Settings a region leaves out use the defaults this modifier was created with.
+       * An empty list returns to whole-mesh flicker.
+       * @param {Array<object>} regionList - { zone, intensity, preset, flickerSpeed, flickerAmount,
+       *   onOffThreshold, offWindowWidth, emitters }
+       */
+      setRegions: (regionList) => {
+        warnRegionOverflow(regionList.length);
+        const count = Math.min(regionList.length, MAX_FLICKER_REGIONS);
+        regionEmitters = [];
+        for (let i = 0; i < count; i++) {
+          const region = regionList[i];
+          const emitters = region.emitters || [];
+          regions.setRegion(i, region.zone);
+          regionParamsVal.value[i].set(
+            region.flickerSpeed ?? flickerSpeed,
+            region.flickerAmount ?? flickerAmount,
+            region.onOffThreshold ?? onOffThreshold,
+            region.offWindowWidth ?? offWindowWidth
+          );
+          regionSettingsVal.value[i].set(
+            region.intensity ?? 1,
+            region.preset !== undefined ? resolvePreset(region.preset) : defaultPreset,
+            emitters.length > 0 ? 1 : 0,
+            0
+          );
+          regionEmitters.push(...emitters.map(emitter => ({ ...emitter, owner: i })));
+        }
+        regionCountVal.value = count;
+        writeEmitters();
+      },
       /** Update all parameters from a config object */
       updateFromConfig: (config) => {
+        // Zones without a preset fall back to the default rather than keeping the last zone's
+        presetVal.value = config.preset !== undefined ? resolvePreset(config.preset) : defaultPreset;
         if (config.flickerSpeed !== undefined) flickerSpeedVal.value = config.flickerSpeed;
         if (config.flickerAmount !== undefined) flickerAmountVal.value = config.flickerAmount;
         if (config.onOffThreshold !== undefined) onOffThresholdVal.value = config.onOffThreshold;
@@ -192,160 +483,3 @@ export function createFlickerModifier(dyno, animateT, options = {}) {
     }
   };
 }
-
-/**
- * Create a combined warp and flicker modifier
- * Combines both effects into a single modifier for better performance
- * @param {object} dyno - The dyno library object
- * @param {object} animateT - The animated time value (dynoFloat)
- * @param {object} flickerOptions - Options for flicker modifier
- * @returns {object} Combined objectModifier with both warp and flicker
- */
-export function createWarpAndFlickerModifier(dyno, animateT, flickerOptions = {}) {
-  const {
-    flickerSpeed = 0.1,
-    flickerAmount = 0.4,
-    enableOnOff = true,
-    onOffThreshold = 0.7,
-    offWindowWidth = 0.15,
-    colorShift = null
-  } = flickerOptions;
-  
-  const applyWarp = dyno.dynoBool(true);
-  const flickerSpeedVal = dyno.dynoFloat(flickerSpeed);
-  const flickerAmountVal = dyno.dynoFloat(flickerAmount);
-  const onOffThresholdVal = dyno.dynoFloat(onOffThreshold);
-  
-  return dyno.dynoBlock(
-    { gsplat: dyno.Gsplat },
-    { gsplat: dyno.Gsplat },
-    ({ gsplat }) => {
-      const d = new dyno.Dyno({
-        inTypes: { 
-          gsplat: dyno.Gsplat, 
-          t: "float", 
-          applyWarp: "bool",
-          flickerSpeed: "float",
-          flickerAmount: "float",
-          onOffThreshold: "float",
-          offWindowWidth: "float"
-        },
-        outTypes: { gsplat: dyno.Gsplat },
-        globals: () => [
-          dyno.unindent(`
-            vec3 warp(vec3 pos, float t) {
-              float spatialFrequency = 5.0;
-              float amplitude = 0.02;
-              return vec3(pos.x + amplitude * sin(t + spatialFrequency * pos.x), 
-              pos.y, 
-              pos.z + amplitude * sin(t + spatialFrequency * pos.z));
-            }
-            vec3 pulse(vec3 scales, vec3 pos, float t) {
-              float maxScale = 1.1 * max(scales.x, max(scales.y, scales.z));
-              float period = 1.0;
-              float baseScale = 1.0;
-              float amplitude = 0.4;
-              float spatialFrequency = 2.0;
-              float x = min(maxScale, scales.x * (baseScale + amplitude * sin(t * period + spatialFrequency * pos.x)));
-              float y = min(maxScale, scales.y * (baseScale + amplitude * sin(t * period + spatialFrequency * pos.y)));
-              float z = min(maxScale, scales.z * (baseScale + amplitude * sin(t * period + spatialFrequency * pos.z)));
-              return vec3(x, y, z);
-            }
-            // Simple noise function for randomness
-            float randomNoise(float x) {
-              return fract(sin(x * 12.9898) * 43758.5453);
-            }
-            
-            // Multi-octave noise for more complex randomness
-            float noise(float t) {
-              float n1 = randomNoise(t);
-              float n2 = randomNoise(t * 2.7);
-              float n3 = randomNoise(t * 7.3);
-              return (n1 * 0.5 + n2 * 0.3 + n3 * 0.2);
-            }
-            
-            float flickerBrightness(float t, float speed, float amount, float threshold, float offWindow) {
-              // Base flickering with multiple sine waves at different frequencies
-              float flicker1 = sin(t * speed);
-              float flicker2 = sin(t * speed * 2.3);
-              float flicker3 = sin(t * speed * 5.7);
-              float flicker4 = sin(t * speed * 11.1);
-              
-              // Combine sine waves with different weights
-              float flickerValue = (flicker1 * 0.4 + flicker2 * 0.3 + flicker3 * 0.2 + flicker4 * 0.1);
-              
-              // Add noise-based randomness for more chaotic flickering
-              float noiseValue = noise(t * speed * 3.0);
-              float noiseVariation = (noiseValue - 0.5) * 0.6; // Scale noise to -0.3 to 0.3
-              
-              // Combine deterministic and random components
-              float combinedFlicker = flickerValue + noiseVariation;
-              float intensityMultiplier = 1.0 - amount + (combinedFlicker * amount);
-              
-              // Random on/off moments using noise instead of sine wave
-              float randomOff = noise(t * speed * 8.0);
-              float randomFlash = noise(t * speed * 13.0);
-              
-              // Occasional complete off - more random timing
-              if (randomOff < threshold && randomOff > threshold - offWindow) {
-                intensityMultiplier = 0.0;
-              }
-              
-              // Random bright flashes
-              if (randomFlash > 0.85) {
-                intensityMultiplier = min(1.0, intensityMultiplier * (1.2 + randomFlash * 0.3));
-              }
-              
-              // Add occasional random dips
-              float randomDip = noise(t * speed * 6.0);
-              if (randomDip < 0.15) {
-                intensityMultiplier *= (0.3 + randomDip * 2.0);
-              }
-              
-              return max(0.0, intensityMultiplier);
-            }
-          `)
-        ],
-        statements: ({ inputs, outputs }) => {
-          let colorMod = "";
-          if (colorShift) {
-            colorMod = `
-              ${outputs.gsplat}.rgba.rgb *= vec3(${colorShift[0]}, ${colorShift[1]}, ${colorShift[2]});
-            `;
-          }
-          
-          return dyno.unindentLines(`
-            ${outputs.gsplat} = ${inputs.gsplat};
-            // Apply flicker effect (modify RGBA)
-            float brightness = flickerBrightness(
-              ${inputs.t}, 
-              ${inputs.flickerSpeed}, 
-              ${inputs.flickerAmount},
-              ${inputs.onOffThreshold},
-              ${inputs.offWindowWidth}
-            );
-            ${outputs.gsplat}.rgba.rgb *= brightness;
-            ${colorMod}
-            // Apply warp effect (modify position and scales)
-            if(${inputs.applyWarp}) {
-              ${outputs.gsplat}.center = warp(${outputs.gsplat}.center, ${inputs.t});
-              ${outputs.gsplat}.scales = pulse(${outputs.gsplat}.scales, ${outputs.gsplat}.center, ${inputs.t});
-            }
-          `);
-        },
-      });
-      
-      gsplat = d.apply({ 
-        gsplat, 
-        t: animateT, 
-        applyWarp: applyWarp,
-        flickerSpeed: flickerSpeedVal,
-        flickerAmount: flickerAmountVal,
-        onOffThreshold: onOffThresholdVal,
-        offWindowWidth: offWindowWidthVal
-      }).gsplat;
-      
-      return { gsplat };
-    },
-  );
-}
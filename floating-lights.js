@@ -4,15 +4,27 @@
 import * as THREE from "three";
 import { SplatEdit, SplatEditSdf, SplatEditSdfType } from "@sparkjsdev/spark";
 
+// Drift distance per unit of velocity per second (0.01 per frame at 60 Hz, as originally tuned)
+const DRIFT_RATE = 0.6;
+
 /**
  * Floating Lights Manager
- * Handles creation, destruction, and updates of floating light particles
+ * Handles creation, destruction, and updates of floating light particles.
+ * Lights fade in when spawned and fade out before they are removed; a zone
+ * that is spawned again while fading out fades back in with the same lights.
  */
 export class FloatingLightsManager {
-  constructor(parentObject, splatEdit) {
+  /**
+   * @param {THREE.Object3D} parentObject - Object the light spheres are added to
+   * @param {SplatEdit} splatEdit - Splat edit the light SDFs are added to
+   * @param {object} options - Default fade durations in seconds, overridden by a zone's `fadeIn`/`fadeOut`
+   */
+  constructor(parentObject, splatEdit, { fadeIn = 1.0, fadeOut = 1.5 } = {}) {
     this.parentObject = parentObject;
     this.splatEdit = splatEdit;
-    this.activeZones = new Map(); // Map of zoneId -> { particles, sdfs, bounds, config }
+    this.fadeIn = fadeIn;
+    this.fadeOut = fadeOut;
+    this.activeZones = new Map(); // Map of zoneId -> { particles, sdfs, bounds, config, fade, fadeTarget }
     
     // Shared geometry for efficiency
     this.sphereGeometry = new THREE.SphereGeometry(0.01, 16, 16);
@@ -25,9 +37,11 @@ export class FloatingLightsManager {
    * @param {object} config - Configuration from effects-config.json
    */
   spawnForZone(zoneId, bounds, config = {}) {
-    // Don't spawn if already active for this zone
-    if (this.activeZones.has(zoneId)) {
-      return this.activeZones.get(zoneId);
+    // Don't spawn if already active for this zone; lights still fading out fade back in
+    const existing = this.activeZones.get(zoneId);
+    if (existing) {
+      existing.fadeTarget = 1;
+      return existing;
     }
 
     const {
@@ -105,7 +119,12 @@ export class FloatingLightsManager {
         max: bounds.max.clone()
       },
       config,
-      colorValue
+      colorValue,
+      weight: 1, // Zone blend weight, scales how many lights are visible
+      fade: 0, // Fade in/out progress, scales every light's brightness
+      fadeTarget: 1, // 1 while fading in or shown, 0 while fading out
+      fadeIn: config.fadeIn ?? this.fadeIn,
+      fadeOut: config.fadeOut ?? this.fadeOut
     };
     this.activeZones.set(zoneId, zoneData);
 
@@ -115,12 +134,19 @@ export class FloatingLightsManager {
 
   /**
    * Remove floating lights for a specific zone
+   * The lights fade out first and are disposed once invisible (see update()).
    * @param {string} zoneId - Zone identifier
+   * @param {object} options - { immediate: dispose now without fading, e.g. when the zone's config changed }
    */
-  removeForZone(zoneId) {
+  removeForZone(zoneId, { immediate = false } = {}) {
     const zoneData = this.activeZones.get(zoneId);
     if (!zoneData) return;
 
+    if (!immediate && zoneData.fade > 0) {
+      zoneData.fadeTarget = 0;
+      return;
+    }
+
     // Remove all SDFs and meshes
     for (const particle of zoneData.particles) {
       if (particle.sdf) {
@@ -137,36 +163,79 @@ export class FloatingLightsManager {
     console.log(`FloatingLights: Removed lights for zone "${zoneId}"`);
   }
 
+  /**
+   * Set the blend weight for a zone's lights
+   * Lower weights thin out the cluster: lights fade out one after another
+   * so density tracks the weight instead of every light dimming at once.
+   * Lights that are fading out keep their density, since the zone's weight
+   * has usually dropped to 0 by the time it is exited.
+   * @param {string} zoneId - Zone identifier
+   * @param {number} weight - Weight between 0 and 1
+   */
+  setZoneWeight(zoneId, weight) {
+    const zoneData = this.activeZones.get(zoneId);
+    if (zoneData && zoneData.fadeTarget > 0) {
+      zoneData.weight = weight;
+    }
+  }
+
   /**
    * Remove all floating lights from all zones
    */
   removeAll() {
     for (const zoneId of this.activeZones.keys()) {
-      this.removeForZone(zoneId);
+      this.removeForZone(zoneId, { immediate: true });
     }
   }
 
   /**
    * Update all active floating lights
-   * @param {number} time - Current time in milliseconds
+   * @param {number} time - Animation time in milliseconds
+   * @param {number} deltaTime - Seconds since the last update
    */
-  update(time) {
+  update(time, deltaTime = 1 / 60) {
     for (const [zoneId, zoneData] of this.activeZones) {
-      this.updateParticles(zoneData.particles, zoneData.bounds, time, zoneData.colorValue);
+      this.updateFade(zoneData, deltaTime);
+      if (zoneData.fadeTarget === 0 && zoneData.fade === 0) {
+        this.removeForZone(zoneId, { immediate: true });
+        continue;
+      }
+      this.updateParticles(zoneData.particles, zoneData.bounds, time, zoneData.colorValue, zoneData.weight, deltaTime, zoneData.fade);
     }
   }
 
+  /**
+   * Move a zone's fade toward its target at the rate its fade duration allows
+   * @param {object} zoneData - Active zone entry
+   * @param {number} deltaTime - Seconds since the last update
+   */
+  updateFade(zoneData, deltaTime) {
+    const duration = zoneData.fadeTarget > zoneData.fade ? zoneData.fadeIn : zoneData.fadeOut;
+    const step = duration > 0 ? deltaTime / duration : 1;
+    zoneData.fade = zoneData.fadeTarget > zoneData.fade
+      ? Math.min(zoneData.fadeTarget, zoneData.fade + step)
+      : Math.max(zoneData.fadeTarget, zoneData.fade - step);
+  }
+
   /**
    * Update particles for a specific zone
+   * `fade` (0 to 1) dims every light at once, on top of the thinning from `weight`.
    */
-  updateParticles(particles, bounds, time, colorValue) {
+  updateParticles(particles, bounds, time, colorValue, weight = 1, deltaTime = 1 / 60, fade = 1) {
     // Extract RGB components from color (normalized 0-1)
     const r = ((colorValue >> 16) & 255) / 255;
     const g = ((colorValue >> 8) & 255) / 255;
     const b = (colorValue & 255) / 255;
 
-    particles.forEach((particle) => {
+    // Number of lights (possibly fractional) the current weight allows
+    const visibleCount = weight * particles.length;
+
+    // Ease the fade so lights ramp gently in and out
+    const fadeAmount = THREE.MathUtils.smoothstep(fade, 0, 1);
+
+    particles.forEach((particle, index) => {
       const t = (time + particle.timeOffset) * 0.001;
+      const density = Math.min(1, Math.max(0, visibleCount - index)) * fadeAmount;
 
       // Base floating motion
       const floatX = Math.sin(t * 0.5 + particle.phase) * 2;
@@ -174,7 +243,7 @@ export class FloatingLightsManager {
       const floatZ = Math.cos(t * 0.4 + particle.phase * 0.7) * 2;
 
       // Add velocity-based drift
-      particle.basePosition.add(particle.velocity.clone().multiplyScalar(0.01));
+      particle.basePosition.addScaledVector(particle.velocity, DRIFT_RATE * deltaTime);
 
       // Wrap around if out of bounds
       if (particle.basePosition.x < bounds.min.x) particle.basePosition.x = bounds.max.x;
@@ -194,17 +263,17 @@ export class FloatingLightsManager {
       if (particle.sdf) {
         particle.sdf.position.copy(position);
         const pulse = 0.3 + 0.2 * Math.sin(t * 2 + particle.phase);
-        particle.sdf.opacity = Math.max(0.05, pulse);
+        particle.sdf.opacity = Math.max(0.05, pulse) * density;
       }
 
       if (particle.sphere) {
         particle.sphere.position.copy(position);
         const spherePulse = 0.4 + 0.3 * Math.sin(t * 2 + particle.phase);
-        particle.sphere.material.opacity = spherePulse;
+        particle.sphere.material.opacity = spherePulse * density;
       }
 
-      // Add subtle color variation
-      const colorShift = 0.8 + 0.2 * Math.sin(t * 1.5 + particle.phase);
+      // Add subtle color variation (scaled by density since SDFs blend additively)
+      const colorShift = (0.8 + 0.2 * Math.sin(t * 1.5 + particle.phase)) * density;
       particle.sdf.color.setRGB(
         colorShift * r,
         colorShift * g,
@@ -225,11 +294,12 @@ export class FloatingLightsManager {
 
   /**
    * Check if a zone has active floating lights
+   * Lights that are fading out don't count, so they can be spawned again.
    * @param {string} zoneId - Zone identifier
    * @returns {boolean}
    */
   hasZone(zoneId) {
-    return this.activeZones.has(zoneId);
+    return this.activeZones.get(zoneId)?.fadeTarget > 0;
   }
 
   /**
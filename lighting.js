@@ -0,0 +1,172 @@
+// Lighting Module
+// Time-of-day controller that animates color grade and brightness keyframes over a visit
+
+import * as THREE from "three";
+import { sceneState } from './scene-state.js';
+
+// Values a keyframe can animate, with the neutral value used until a keyframe sets them
+const LIGHTING_DEFAULTS = {
+  saturation: 1,
+  contrast: 1,
+  temperature: 0,
+  brightness: 1
+};
+
+/**
+ * Lighting Controller
+ * Plays a timeline of keyframes, each `at` a number of seconds into the visit:
+ * `{ at, name, when, saturation, contrast, temperature, brightness, ... }`.
+ * Values between keyframes are eased, and a value a keyframe leaves out
+ * carries over from the keyframe before it. A keyframe with a `when`
+ * condition holds the timeline at the previous keyframe until the condition
+ * holds, so story state can gate the cycle (e.g. night only falls after a
+ * room has been visited). Callbacks registered with onKeyframe() run as each
+ * keyframe is reached, for side effects such as swapping ambient audio.
+ */
+export class LightingController {
+  /**
+   * @param {SceneState} state - Scene state used for `when` conditions
+   */
+  constructor(state = sceneState) {
+    this.state = state;
+    this.keyframes = [];
+    this.loop = false;
+    this.duration = 0; // Cycle length when looping
+    this.time = 0;
+    this.started = false; // Keyframes at time 0 are reached on the first update
+    this.callbacks = [];
+  }
+
+  /**
+   * Load a lighting config, keeping the current time so edits can be previewed in place
+   * @param {object} config - { keyframes, loop, duration } (null/undefined clears the timeline)
+   */
+  load(config) {
+    const keyframes = [...(config?.keyframes || [])].sort((a, b) => a.at - b.at);
+
+    // Resolve carried-over values once so interpolation only looks at two keyframes
+    let previous = LIGHTING_DEFAULTS;
+    this.keyframes = keyframes.map(keyframe => {
+      const values = {};
+      for (const key of Object.keys(LIGHTING_DEFAULTS)) {
+        values[key] = keyframe[key] ?? previous[key];
+      }
+      previous = values;
+      return { keyframe, values };
+    });
+
+    this.loop = Boolean(config?.loop);
+    const lastAt = this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].keyframe.at : 0;
+    this.duration = Math.max(config?.duration ?? lastAt, lastAt);
+    if (this.loop && this.duration <= 0) {
+      console.warn('LightingController: A looping timeline needs a duration above 0, not looping');
+      this.loop = false;
+    }
+  }
+
+  /**
+   * Register a callback for reached keyframes
+   * @param {function} callback - Function(keyframe) called with the keyframe's config
+   */
+  onKeyframe(callback) {
+    this.callbacks.push(callback);
+  }
+
+  /**
+   * Advance the timeline
+   * @param {number} deltaTime - Seconds since the last update
+   */
+  update(deltaTime) {
+    if (this.keyframes.length === 0) return;
+
+    let target = this.time + deltaTime;
+
+    // Hold at the keyframe before the first upcoming one whose condition doesn't hold yet
+    const blocked = this.keyframes.findIndex(({ keyframe }) =>
+      keyframe.at > this.time && !this.state.matches(keyframe.when));
+    if (blocked !== -1) {
+      const holdAt = blocked > 0 ? this.keyframes[blocked - 1].keyframe.at : this.time;
+      target = Math.min(target, Math.max(this.time, holdAt));
+    }
+
+    if (this.loop && target >= this.duration) {
+      this.reach(this.time, this.duration, !this.started);
+      target -= this.duration;
+      this.reach(0, target, true);
+    } else {
+      this.reach(this.time, target, !this.started);
+    }
+
+    this.time = target;
+    this.started = true;
+  }
+
+  /**
+   * Run callbacks for keyframes between two times
+   * @param {number} from - Start time (exclusive unless inclusive is set)
+   * @param {number} to - End time (inclusive)
+   * @param {boolean} inclusive - Whether a keyframe exactly at `from` counts
+   */
+  reach(from, to, inclusive) {
+    for (const { keyframe } of this.keyframes) {
+      if ((keyframe.at > from || (inclusive && keyframe.at === from)) && keyframe.at <= to) {
+        this.callbacks.forEach(cb => cb(keyframe));
+      }
+    }
+  }
+
+  /**
+   * Get the lighting values at the current time
+   * @returns {object} { saturation, contrast, temperature, brightness }
+   */
+  getValues() {
+    const frames = this.keyframes;
+    if (frames.length === 0) return { ...LIGHTING_DEFAULTS };
+
+    const last = frames[frames.length - 1];
+    if (this.time <= frames[0].keyframe.at) return { ...frames[0].values };
+    if (this.time >= last.keyframe.at) {
+      // Looping timelines ease from the last keyframe back to the first over the rest of the cycle
+      if (!this.loop || this.duration <= last.keyframe.at) return { ...last.values };
+      return this.interpolate(last.values, frames[0].values, (this.time - last.keyframe.at) / (this.duration - last.keyframe.at));
+    }
+
+    const next = frames.findIndex(({ keyframe }) => keyframe.at > this.time);
+    const from = frames[next - 1];
+    const to = frames[next];
+    return this.interpolate(from.values, to.values, (this.time - from.keyframe.at) / (to.keyframe.at - from.keyframe.at));
+  }
+
+  /**
+   * Ease between two sets of values
+   * @param {object} from - Values at t = 0
+   * @param {object} to - Values at t = 1
+   * @param {number} t - Position between them (0 to 1)
+   * @returns {object}
+   */
+  interpolate(from, to, t) {
+    const eased = THREE.MathUtils.smoothstep(t, 0, 1);
+    const values = {};
+    for (const key of Object.keys(LIGHTING_DEFAULTS)) {
+      values[key] = THREE.MathUtils.lerp(from[key], to[key], eased);
+    }
+    return values;
+  }
+
+  /**
+   * Jump to a time without running keyframe callbacks
+   * @param {number} seconds - Time into the timeline
+   */
+  setTime(seconds) {
+    this.time = Math.max(0, seconds);
+    this.started = true;
+  }
+
+  /**
+   * Get the current time into the timeline in seconds
+   * @returns {number}
+   */
+  getTime() {
+    return this.time;
+  }
+}
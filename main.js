@@ -1,9 +1,17 @@
 import * as THREE from "three";
 import { dyno, NewSparkRenderer, SplatMesh, SparkControls, VRButton, XrHands, SplatLoader, isMobile, SplatEdit, SplatEditRgbaBlendMode, SplatEditSdf, SplatEditSdfType } from "@sparkjsdev/spark";
 import { GUI } from "lil-gui";
-import { createFlickerModifier } from './flicker.js';
+import { createFlickerModifier, MAX_FLICKER_REGIONS } from './flicker.js';
+import { createWarpModifier, MAX_WARP_REGIONS } from './warp.js';
+import { createWindModifier, getAudioWindFactor, MAX_WIND_REGIONS } from './wind.js';
+import { createRippleModifier } from './ripple.js';
+import { createTransitionModifier } from './transition.js';
+import { createAtmosphereModifier } from './atmosphere.js';
+import { LightingController } from './lighting.js';
+import { RegionFader } from './region-fader.js';
+import { ModifierStack } from './modifier-stack.js';
 import { FloatingLightsManager } from './floating-lights.js';
-import { EffectZoneManager, loadEffectsConfig } from './effect-zones.js';
+import { EffectZoneManager, loadEffectsConfig, checkEffectsConfig } from './effect-zones.js';
 
 
 // Flags for various effects - now zone-based
@@ -26,12 +34,28 @@ const handSdfs = new Map();
 // Effect zone system
 let effectZoneManager = null;
 let floatingLightsManager = null;
+let modifierStack = null;  // Splat modifier stages applied to the background
 let flickerControls = null;  // Controls for dynamic flicker intensity
-
-// Flicker intensity transition state
-let targetFlickerIntensity = 0;
-let currentFlickerIntensity = 0;
+let warpControls = null;  // Controls for zone-scoped warp
+let windControls = null;  // Controls for zone-scoped wind
+let rippleControls = null;  // Controls for triggered ripples
+let transitionControls = null;  // Controls for the reveal/dissolve transition
+let atmosphereControls = null;  // Controls for fog and zone color grading
+let lightingController = null;  // Time-of-day lighting keyframes
+let zoneEditor = null;  // In-scene zone editor (local development only, created on first use)
+let effectsConfigSource = null;  // effects-config.json as written, before invalid zones are dropped (edited by the zone editor)
+let debugLabels = null;  // Labels for zones, audio sources and floating lights (local development only)
+
+// Per-zone intensity fades for zone-scoped shader effects
 const FLICKER_FADE_SPEED = 2.0; // Units per second
+const WARP_FADE_SPEED = 1.0; // Units per second
+const WIND_FADE_SPEED = 0.5; // Units per second
+const flickerFader = new RegionFader(FLICKER_FADE_SPEED);
+const warpFader = new RegionFader(WARP_FADE_SPEED);
+const windFader = new RegionFader(WIND_FADE_SPEED);
+
+// Default length of the ambient audio fades started by lighting keyframes
+const LIGHTING_AUDIO_FADE = 3.0; // Seconds
 
 // localDev is set in index.html BEFORE this script loads (ES6 imports are hoisted)
 // Set to true for local development (loads assets from ./assets/)
@@ -61,20 +85,45 @@ function getAssetUrl(path) {
 // Import audio module
 import { 
   audioListener, 
+  applyAudioConfig,
+  applyZoneWeights,
   checkProximityTriggers,
-  initializeAudio
+  fadeAudioSource,
+  getAudioLevel,
+  initializeAudio,
+  onAudioTrigger
 } from './audio.js';
 
 // Import progress module
 import { showProgress, hideProgress, updateProgress, calculateUnknownProgress } from './progress.js';
 
+// Import scene state store (story flags and counters)
+import { sceneState } from './scene-state.js';
+
+// Import the shared animation clock
+import { clock } from './clock.js';
+
+// Import config write-back helper (dev server only)
+import { saveConfig } from './save-config.js';
+
 // Make localDev and getAssetUrl available globally for modules
 window.localDev = localDev;
 window.getAssetUrl = getAssetUrl;
+// Expose scene state for inspecting and setting flags from the browser console
+window.sceneState = sceneState;
+// Expose the animation clock, e.g. clock.pause(), clock.setTimeScale(0.5), clock.setFixedStep(1 / 60)
+window.clock = clock;
+// Expose config saving for debug tooling, e.g. saveConfig('audio-config.json', config)
+if (localDev) {
+  window.saveConfig = saveConfig;
+}
 
 // Import debug console module
 import './debug-console.js';
 
+// Import debug labels overlay
+import { DebugLabels } from './debug-labels.js';
+
 window.addEventListener('resize', onWindowResize, false);
 function onWindowResize() {
   if (camera && renderer) {
@@ -120,8 +169,30 @@ function printBoundingBox(size = { x: 6, y: 5, z: 6 }) {
   console.log('--- Copy the above lines to effects-config.json ---');
 }
 
-// Keyboard listener for zone visualization toggle and bounding box printer
+// Toggle the zone editor, loading it on first use so production never fetches the gizmo code
+async function toggleZoneEditor() {
+  if (!localDev || !effectZoneManager) return;
+  if (!zoneEditor) {
+    const { ZoneEditor } = await import('./zone-editor.js');
+    zoneEditor = new ZoneEditor({
+      scene,
+      camera,
+      domElement: renderer.domElement,
+      controls,
+      onChange: applyEffectsConfig
+    });
+    zoneEditor.load(effectsConfigSource);
+  }
+  const enabled = zoneEditor.toggle();
+  window.debugLogHigh('info', `Zone editor ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+// Keyboard listener for zone visualization toggle, bounding box printer and zone editor
 window.addEventListener('keydown', (event) => {
+  // Ignore shortcuts while typing in a panel field
+  if (event.target instanceof HTMLInputElement) {
+    return;
+  }
   // Toggle zone visualization with 'z' key
   if (event.key === 'z' || event.key === 'Z') {
     if (effectZoneManager) {
@@ -132,6 +203,15 @@ window.addEventListener('keydown', (event) => {
   if (event.key === 'p' || event.key === 'P') {
     printBoundingBox();
   }
+  // Toggle zone editor with 'g' key
+  if (event.key === 'g' || event.key === 'G') {
+    toggleZoneEditor();
+  }
+  // Toggle debug labels with 'l' key
+  if ((event.key === 'l' || event.key === 'L') && debugLabels) {
+    const visible = debugLabels.toggle();
+    console.log(`Debug labels: ${visible ? 'ON' : 'OFF'}`);
+  }
 }, false);
 
 
@@ -253,8 +333,31 @@ background.scale.setScalar(0.5);
 // Make background editable so it can be affected by SDFs
 background.editable = true;
 
-// Apply flicker modifier to background splat mesh (always create, intensity controlled by zones)
+// Splat modifiers on the background are composed through a stack of named stages.
+// World space so zone volumes and emitter positions from effects-config.json match the scene.
+modifierStack = new ModifierStack(dyno, background);
+// Expose for toggling and reordering stages from the browser console, e.g. modifierStack.setEnabled('flicker', false)
+window.modifierStack = modifierStack;
+
+// The background starts hidden and is revealed by playReveal() once the scene is set up.
+// First in the stack so its per-splat noise uses undisplaced positions.
+const transitionResult = createTransitionModifier(dyno, { initialProgress: 0 });
+modifierStack.add('transition', transitionResult.modifier);
+transitionControls = transitionResult.controls;
+
+// Apply warp, wind and flicker modifiers to background splat mesh (intensity controlled by zones)
 if (enableEffectZones) {
+  // Warp and wind are only enabled in the stack while a zone uses them, so scenes without them skip them
+  const warpResult = createWarpModifier(dyno, animateT, {
+    initialIntensity: 0
+  });
+  modifierStack.add('warp', warpResult.modifier, { enabled: false });
+  warpControls = warpResult.controls;
+
+  const windResult = createWindModifier(dyno, animateT);
+  modifierStack.add('wind', windResult.modifier, { enabled: false });
+  windControls = windResult.controls;
+
   const flickerResult = createFlickerModifier(dyno, animateT, {
     flickerSpeed: 0.5,
     flickerAmount: 0.4,
@@ -263,10 +366,63 @@ if (enableEffectZones) {
     offWindowWidth: 0.7,
     initialIntensity: 0  // Start with no flickering, zones will enable it
   });
-  background.objectModifier = flickerResult.modifier;
+  modifierStack.add('flicker', flickerResult.modifier);
   flickerControls = flickerResult.controls;
 }
 
+// Ripples are triggered by code, zone entries and audio triggers; the stage is only enabled while one is visible
+const rippleResult = createRippleModifier(dyno, animateT);
+modifierStack.add('ripple', rippleResult.modifier, { enabled: false });
+rippleControls = rippleResult.controls;
+
+// Fog and color grading come last so they act on the final splat colors.
+// The stage is only enabled while there is fog, lighting or a zone grade to apply.
+if (enableEffectZones) {
+  const atmosphereResult = createAtmosphereModifier(dyno);
+  modifierStack.add('atmosphere', atmosphereResult.modifier, { enabled: false });
+  atmosphereControls = atmosphereResult.controls;
+}
+
+/**
+ * Start a ripple shockwave on the background
+ * @param {THREE.Vector3|Array<number>} position - World-space origin
+ * @param {object} options - Ripple settings, see createRippleModifier
+ */
+function triggerRipple(position, options = {}) {
+  rippleControls.triggerRipple(position, options);
+  modifierStack.setEnabled('ripple', true);
+}
+// Expose for triggering from the browser console, e.g. triggerRipple([3, 0, -2], { amplitude: 0.2 })
+window.triggerRipple = triggerRipple;
+
+/**
+ * Materialize the background outward from a point (default: the camera)
+ * The transition stage is dropped from the shader once the reveal completes.
+ * @param {object} options - { origin, duration, radius }, see createTransitionModifier
+ * @returns {Promise<boolean>} Resolves with true when fully revealed, false if interrupted
+ */
+async function playReveal(options = {}) {
+  modifierStack.setEnabled('transition', true);
+  const completed = await transitionControls.playReveal(options.origin ?? camera.getWorldPosition(new THREE.Vector3()), options);
+  if (completed) {
+    modifierStack.setEnabled('transition', false);
+  }
+  return completed;
+}
+
+/**
+ * Dissolve the background back toward a point (default: the camera), e.g. before switching scenes
+ * @param {object} options - { origin, duration, radius }, see createTransitionModifier
+ * @returns {Promise<boolean>} Resolves with true when fully hidden, false if interrupted
+ */
+function playDissolve(options = {}) {
+  modifierStack.setEnabled('transition', true);
+  return transitionControls.playDissolve(options.origin ?? camera.getWorldPosition(new THREE.Vector3()), options);
+}
+// Expose for scripting transitions from the browser console, e.g. await playDissolve(); await playReveal()
+window.playReveal = playReveal;
+window.playDissolve = playDissolve;
+
 // Make sure to update the generator after updating modifiers
 background.updateGenerator();
 scene.add(background);
@@ -303,19 +459,30 @@ if (enableEffectZones) {
   effectZoneManager = new EffectZoneManager(scene);
   
   // Load effects configuration
-  const effectsConfig = await loadEffectsConfig(getAssetUrl);
-  effectZoneManager.loadConfig(effectsConfig);
+  effectsConfigSource = await loadEffectsConfig(getAssetUrl);
+  effectZoneManager.loadConfig(checkEffectsConfig(effectsConfigSource));
+
+  // Time-of-day lighting from the config's keyframes, applied through the atmosphere stage
+  lightingController = new LightingController(sceneState);
+  lightingController.load(effectZoneManager.config?.lighting);
+  // Keyframes can swap ambient audio beds and set story state as they are reached
+  lightingController.onKeyframe((keyframe) => {
+    window.debugLogHigh('info', `Lighting keyframe: ${keyframe.name ?? keyframe.at}`);
+    for (const [name, level] of Object.entries(keyframe.audio || {})) {
+      fadeAudioSource(name, level, keyframe.audioFade ?? LIGHTING_AUDIO_FADE);
+    }
+    sceneState.apply(keyframe.onReach);
+  });
+  // Expose for scrubbing the timeline from the browser console, e.g. lighting.setTime(600)
+  window.lighting = lightingController;
   
   // Set starting position to zone center if startZone is specified
   if (startZone) {
     const zone = effectZoneManager.zones.find(z => z.id === startZone);
     if (zone) {
-      // Calculate center of the zone
-      const center = new THREE.Vector3()
-        .addVectors(zone.bounds.min, zone.bounds.max)
-        .multiplyScalar(0.5);
-      localFrame.position.copy(center);
-      console.log(`Starting at zone "${startZone}" center:`, center);
+      // Every zone shape carries its own center (box midpoint, sphere/obb/cylinder center, prism centroid)
+      localFrame.position.copy(zone.center);
+      console.log(`Starting at zone "${startZone}" center:`, zone.center);
     } else {
       console.warn(`Zone "${startZone}" not found, using default starting position`);
     }
@@ -326,37 +493,90 @@ if (enableEffectZones) {
     window.debugLogHigh('info', `Entered zone: ${zone.id}`);
     console.log(`Entered zone: ${zone.id}`);
     
-    // Handle floating lights for this zone
-    if (zone.effects.floatingLights?.enabled) {
-      floatingLightsManager.spawnForZone(zone.id, zone.bounds, zone.effects.floatingLights);
-    }
-    
-    // Handle flickering - update target intensity
-    const flickerState = effectZoneManager.getFlickerState();
-    targetFlickerIntensity = flickerState.intensity;
-    if (flickerState.config && flickerControls) {
-      flickerControls.updateFromConfig(flickerState.config);
+    syncZoneFloatingLights(zone);
+
+    // Zones with a ripple effect send one out from their center (or `origin`) on entry
+    if (effectZoneManager.isEffectEnabled(zone, 'ripple')) {
+      const config = zone.effects.ripple;
+      triggerRipple(config.origin ?? zone.center, config);
     }
   });
+
+  // Scene state changes can switch conditional (`when`) effects on or off while inside a zone
+  effectZoneManager.onEffectsChange((zone, { added, removed }) => {
+    window.debugLogHigh('info', `Zone ${zone.id} effects changed: +[${added.join(', ')}] -[${removed.join(', ')}]`);
+    syncZoneFloatingLights(zone);
+  });
+  
+  effectZoneManager.onFirstVisit((zone) => {
+    window.debugLogHigh('info', `First visit to zone: ${zone.id}`);
+  });
+
+  effectZoneManager.onDwell((zone, seconds) => {
+    window.debugLogHigh('info', `Dwelled ${seconds}s in zone: ${zone.id}`);
+  });
   
   // Set up zone exit callback
   effectZoneManager.onExit((zone) => {
     window.debugLogHigh('info', `Exited zone: ${zone.id}`);
     
-    // Remove floating lights for this zone
-    if (zone.effects.floatingLights?.enabled) {
-      floatingLightsManager.removeForZone(zone.id);
-    }
-    
-    // Update flicker intensity based on remaining active zones
-    const flickerState = effectZoneManager.getFlickerState();
-    targetFlickerIntensity = flickerState.intensity;
-    if (flickerState.config && flickerControls) {
-      flickerControls.updateFromConfig(flickerState.config);
-    }
+    syncZoneFloatingLights(zone);
   });
 }
 
+// Spawn or remove a zone's floating lights to match whether the effect currently applies
+function syncZoneFloatingLights(zone) {
+  const enabled = effectZoneManager.activeZones.has(zone.id) &&
+    effectZoneManager.isEffectEnabled(zone, 'floatingLights');
+
+  if (enabled && !floatingLightsManager.hasZone(zone.id)) {
+    floatingLightsManager.spawnForZone(zone.id, zone.bounds, zone.effects.floatingLights);
+  } else if (!enabled && floatingLightsManager.hasZone(zone.id)) {
+    floatingLightsManager.removeForZone(zone.id);
+  }
+}
+
+// Apply an edited effects config (hot reload or zone editor), rebuilding only what changed
+function applyEffectsConfig(config) {
+  effectsConfigSource = config;
+  const diff = effectZoneManager.loadConfig(checkEffectsConfig(config));
+  window.debugLogHigh('info', `Zones added: [${diff.added.join(', ')}] removed: [${diff.removed.join(', ')}] changed: [${diff.changed.join(', ')}]`);
+  lightingController.load(effectZoneManager.config?.lighting);
+
+  // Respawn floating lights only for zones whose config changed; removed zones' lights fade out
+  for (const zoneId of diff.removed) {
+    floatingLightsManager.removeForZone(zoneId);
+  }
+  for (const zoneId of diff.changed) {
+    floatingLightsManager.removeForZone(zoneId, { immediate: true });
+  }
+  for (const zoneId of diff.changed) {
+    syncZoneFloatingLights(effectZoneManager.zonesById.get(zoneId));
+  }
+}
+
+// Fade each zone's flicker, warp and wind regions in and out and pass them to the modifiers
+function updateEffectRegions(deltaTime) {
+  const flickerRegions = effectZoneManager.getEffectRegions('flickering', { position: cameraWorldPos, limit: MAX_FLICKER_REGIONS })
+    .map(region => ({ ...region, target: region.config.flickerAmount ?? 0.4 }));
+  flickerControls.setRegions(flickerFader.update(flickerRegions, deltaTime, MAX_FLICKER_REGIONS));
+
+  const warpRegions = warpFader.update(
+    effectZoneManager.getEffectRegions('warp', { position: cameraWorldPos, limit: MAX_WARP_REGIONS }), deltaTime, MAX_WARP_REGIONS);
+  modifierStack.setEnabled('warp', warpRegions.length > 0);
+  warpControls.setRegions(warpRegions);
+
+  // Wind regions with an audioSource gust with that sound's loudness while it plays
+  const windRegions = windFader.update(
+    effectZoneManager.getEffectRegions('wind', { position: cameraWorldPos, limit: MAX_WIND_REGIONS }), deltaTime, MAX_WIND_REGIONS)
+    .map(region => {
+      const level = region.audioSource ? getAudioLevel(region.audioSource) : null;
+      return level === null ? region : { ...region, intensity: region.intensity * getAudioWindFactor(level, region) };
+    });
+  modifierStack.setEnabled('wind', windRegions.length > 0);
+  windControls.setRegions(windRegions);
+}
+
 if (vrButton) {
   // WebXR is available, so show the button
   document.body.appendChild(vrButton);
@@ -383,11 +603,82 @@ if (vrButton) {
 });
 }
 
+// Apply the config's fog, the time-of-day lighting and the color grade of the zones around the camera
+function updateAtmosphere(deltaTime) {
+  atmosphereControls.setCameraPosition(cameraWorldPos);
+  atmosphereControls.setFog({ color: 0x000000, density: 0, start: 0, ...effectZoneManager.config?.fog });
+
+  lightingController.update(deltaTime);
+  const light = lightingController.getValues();
+
+  // Ease from neutral toward the zone's grade as the zone's weight ramps up across its feather
+  const { active, weight, config } = effectZoneManager.getBlendedEffect('grade');
+  const graded = (key, neutral) => active ? THREE.MathUtils.lerp(neutral, config[key] ?? neutral, weight) : neutral;
+
+  // The zone grade is applied relative to the time of day
+  atmosphereControls.setGrade({
+    saturation: light.saturation * graded('saturation', 1),
+    contrast: light.contrast * graded('contrast', 1),
+    temperature: THREE.MathUtils.clamp(light.temperature + graded('temperature', 0), -1, 1),
+    brightness: light.brightness
+  });
+  modifierStack.setEnabled('atmosphere', atmosphereControls.isActive());
+}
+
 // Initialize spatial audio sources
 await initializeAudio(scene, getAssetUrl);
 
+// Proximity-triggered sounds with a `ripple` block send one out from the source (or `origin`)
+onAudioTrigger((source) => {
+  if (source.ripple) {
+    triggerRipple(source.ripple.origin ?? source.position, source.ripple);
+  }
+});
+
+// Debug labels for everything placed from the config files
+if (localDev) {
+  debugLabels = new DebugLabels(scene, {
+    zoneManager: effectZoneManager,
+    floatingLights: floatingLightsManager
+  });
+}
+
+// Apply config edits pushed by the dev server (config-hot-reload plugin in vite.config.js)
+// without reloading the page and re-downloading the splat
+if (import.meta.hot) {
+  import.meta.hot.on('config-update', async ({ file, config }) => {
+    window.debugLogHigh('info', `Config updated: ${file}`);
+
+    if (file === 'effects-config.json' && effectZoneManager) {
+      applyEffectsConfig(config);
+      // Keep the editor's working copy in step with the file
+      zoneEditor?.load(config);
+    } else if (file === 'audio-config.json') {
+      try {
+        const { added, removed } = await applyAudioConfig(config);
+        window.debugLogHigh('info', `Audio sources added: ${added}, removed: ${removed}`);
+      } catch (error) {
+        console.error('Failed to apply audio config:', error);
+      }
+    }
+  });
+}
+
+// Intro: materialize the scene outward from the visitor's start position (advanced by the animation loop).
+// If something other than another transition cuts it short (e.g. setProgress), nothing would finish
+// the reveal and the scene could stay hidden, so show it at once; a transition that took over decides instead.
+playReveal().then((completed) => {
+  if (!completed && !transitionControls.isPlaying()) {
+    transitionControls.setProgress(1);
+    modifierStack.setEnabled('transition', false);
+  }
+});
+
 // Start animation loop
 renderer.setAnimationLoop(function animate(time, xrFrame) {
+// Advance animation time; effects below use clock.delta and clock.elapsed instead of assuming 60 fps
+clock.tick(time);
+
 // When in XR mode, control localFrame. When not in XR, control camera directly
 const isXRActive = renderer.xr.isPresenting;
 
@@ -424,7 +715,7 @@ if (isXRActive) {
 camera.getWorldPosition(cameraWorldPos);
 
 if (animateT) {
-  animateT.value = time / 1000;
+  animateT.value = clock.elapsed;
 }
 if (background) {
   background.updateVersion();
@@ -435,29 +726,44 @@ checkProximityTriggers(cameraWorldPos);
 
 // Update effect zones based on camera position
 if (effectZoneManager) {
-  effectZoneManager.update(cameraWorldPos);
+  effectZoneManager.update(cameraWorldPos, clock.elapsedMs);
+
+  // Zone weights change continuously across feathered boundaries,
+  // so effects are re-scaled every frame rather than only on enter/exit
+  if (floatingLightsManager) {
+    for (const zoneId of floatingLightsManager.getActiveZoneIds()) {
+      floatingLightsManager.setZoneWeight(zoneId, effectZoneManager.getZoneWeight(zoneId));
+    }
+  }
+
+  applyZoneWeights((zoneId) => effectZoneManager.getZoneWeight(zoneId));
 }
 
 // Update floating lights animation for all active zones
 if (floatingLightsManager) {
-  floatingLightsManager.update(time);
+  floatingLightsManager.update(clock.elapsedMs, clock.delta);
 }
 
-// Smoothly interpolate flicker intensity
-if (flickerControls) {
-  const deltaTime = 1 / 60; // Approximate frame time
-  if (currentFlickerIntensity < targetFlickerIntensity) {
-    currentFlickerIntensity = Math.min(
-      targetFlickerIntensity,
-      currentFlickerIntensity + FLICKER_FADE_SPEED * deltaTime
-    );
-  } else if (currentFlickerIntensity > targetFlickerIntensity) {
-    currentFlickerIntensity = Math.max(
-      targetFlickerIntensity,
-      currentFlickerIntensity - FLICKER_FADE_SPEED * deltaTime
-    );
-  }
-  flickerControls.setIntensity(currentFlickerIntensity);
+if (debugLabels) {
+  debugLabels.update(cameraWorldPos, time);
+}
+
+// Smoothly fade flicker, warp and wind regions in and out
+if (effectZoneManager && flickerControls) {
+  updateEffectRegions(clock.delta);
+}
+
+// Fog, time-of-day lighting and zone color grading
+if (effectZoneManager && atmosphereControls) {
+  updateAtmosphere(clock.delta);
+}
+
+// Advance the reveal/dissolve transition
+transitionControls.update(clock.delta);
+
+// Drop the ripple stage from the shader once the last ripple has faded
+if (modifierStack.isEnabled('ripple') && !rippleControls.isActive()) {
+  modifierStack.setEnabled('ripple', false);
 }
 
 // Update WebXR hands if active
@@ -0,0 +1,160 @@
+// Modifier Stack Module
+// Composes independent splat modifier stages (warp, flicker, fog, ...) into the single dyno block a SplatMesh accepts
+
+/**
+ * Modifier Stack
+ * A SplatMesh holds one objectModifier and one worldModifier. The stack keeps
+ * an ordered list of named stages, each a gsplat -> gsplat dynoBlock such as
+ * the `modifier` returned by createFlickerModifier, and chains the enabled
+ * ones into one block assigned to the mesh. Stages keep their own uniforms, so
+ * their controls keep working across rebuilds.
+ *
+ * Enabling, disabling, adding or reordering stages rebuilds the chain and
+ * calls updateGenerator(). Spark caches compiled generators per pipeline
+ * structure, so switching back to a previous combination doesn't recompile.
+ * Stages are compiled into one shader, so GLSL helper names in their globals
+ * must not collide unless the global strings are identical (then they are
+ * emitted once).
+ */
+export class ModifierStack {
+  /**
+   * @param {object} dyno - The dyno library object
+   * @param {SplatMesh} mesh - Mesh to apply the composed modifier to
+   * @param {object} options - Stack options
+   * @param {string} options.space - 'world' (worldModifier, default) or 'object' (objectModifier)
+   */
+  constructor(dyno, mesh, { space = 'world' } = {}) {
+    this.dyno = dyno;
+    this.mesh = mesh;
+    this.modifierKey = space === 'object' ? 'objectModifier' : 'worldModifier';
+    this.stages = []; // Ordered array of { name, modifier, enabled }
+  }
+
+  /**
+   * Add a stage
+   * @param {string} name - Unique stage name
+   * @param {object} modifier - A gsplat -> gsplat dynoBlock
+   * @param {object} options - Stage options
+   * @param {boolean} options.enabled - Whether the stage starts enabled (default: true)
+   * @param {number} options.index - Position in the stack (default: end)
+   * @returns {ModifierStack} This stack, for chaining
+   */
+  add(name, modifier, { enabled = true, index = this.stages.length } = {}) {
+    if (this.has(name)) {
+      console.warn(`ModifierStack: Stage "${name}" already exists, replacing it`);
+      this.stages = this.stages.filter(stage => stage.name !== name);
+    }
+    this.stages.splice(index, 0, { name, modifier, enabled });
+    this.rebuild();
+    return this;
+  }
+
+  /**
+   * Remove a stage
+   * @param {string} name - Stage name
+   */
+  remove(name) {
+    const count = this.stages.length;
+    this.stages = this.stages.filter(stage => stage.name !== name);
+    if (this.stages.length !== count) {
+      this.rebuild();
+    }
+  }
+
+  /**
+   * Check if a stage exists
+   * @param {string} name - Stage name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.stages.some(stage => stage.name === name);
+  }
+
+  /**
+   * Enable or disable a stage without removing it
+   * Disabled stages are left out of the shader entirely rather than skipped at runtime.
+   * @param {string} name - Stage name
+   * @param {boolean} enabled - Whether the stage applies
+   */
+  setEnabled(name, enabled) {
+    const stage = this.getStage(name);
+    if (stage && stage.enabled !== enabled) {
+      stage.enabled = enabled;
+      this.rebuild();
+    }
+  }
+
+  /**
+   * Check if a stage is enabled
+   * @param {string} name - Stage name
+   * @returns {boolean}
+   */
+  isEnabled(name) {
+    return this.stages.find(stage => stage.name === name)?.enabled ?? false;
+  }
+
+  /**
+   * Move a stage to a new position
+   * @param {string} name - Stage name
+   * @param {number} index - New position (0 = applied first)
+   */
+  move(name, index) {
+    const stage = this.getStage(name);
+    if (!stage) return;
+    this.stages.splice(this.stages.indexOf(stage), 1);
+    this.stages.splice(index, 0, stage);
+    this.rebuild();
+  }
+
+  /**
+   * Reorder stages by name; stages not listed keep their relative order after the listed ones
+   * @param {Array<string>} names - Stage names in application order
+   */
+  setOrder(names) {
+    const listed = names.map(name => this.getStage(name)).filter(Boolean);
+    const rest = this.stages.filter(stage => !listed.includes(stage));
+    this.stages = [...listed, ...rest];
+    this.rebuild();
+  }
+
+  /**
+   * Get stage names in application order
+   * @returns {Array<string>}
+   */
+  getStageNames() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  /**
+   * Find a stage by name, warning if it doesn't exist
+   * @param {string} name - Stage name
+   * @returns {object|undefined}
+   */
+  getStage(name) {
+    const stage = this.stages.find(s => s.name === name);
+    if (!stage) {
+      console.warn(`ModifierStack: Unknown stage "${name}"`);
+    }
+    return stage;
+  }
+
+  /**
+   * Chain the enabled stages into one block and apply it to the mesh
+   */
+  rebuild() {
+    const enabled = this.stages.filter(stage => stage.enabled);
+    const { dyno } = this;
+
+    this.mesh[this.modifierKey] = enabled.length === 0 ? undefined : dyno.dynoBlock(
+      { gsplat: dyno.Gsplat },
+      { gsplat: dyno.Gsplat },
+      ({ gsplat }) => {
+        for (const stage of enabled) {
+          gsplat = stage.modifier.apply({ gsplat }).gsplat;
+        }
+        return { gsplat };
+      }
+    );
+    this.mesh.updateGenerator();
+  }
+}
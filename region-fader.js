@@ -0,0 +1,71 @@
+// Region Fader Module
+// Fades zone-scoped shader regions (flicker, warp, ...) in and out as their effects switch on and off
+
+/**
+ * Region Fader
+ * Each frame takes the regions whose effect is enabled, eases every region's
+ * intensity toward its target, and returns the list to pass to a modifier's
+ * setRegions(). Regions whose effect was disabled stay in the list until they
+ * have faded out; enabled regions stay even at zero intensity, because they
+ * still cover lower-priority regions they overlap.
+ */
+export class RegionFader {
+  /**
+   * @param {number} fadeSpeed - Intensity units per second
+   */
+  constructor(fadeSpeed = 2.0) {
+    this.fadeSpeed = fadeSpeed;
+    this.states = new Map(); // Map of zoneId -> { zone, config, intensity }
+  }
+
+  /**
+   * Advance the fades
+   * @param {Array<object>} regions - { zone, config, target = 1 } for each enabled region
+   * @param {number} deltaTime - Seconds since the last update
+   * @param {number} limit - Maximum number of regions to return; regions that are
+   *   fading out are left out first, faintest first, so enabled regions keep their slots
+   * @returns {Array<object>} { ...config, zone, intensity } per region, highest priority first
+   */
+  update(regions, deltaTime, limit = Infinity) {
+    const targets = new Map();
+    for (const { zone, config, target = 1 } of regions) {
+      targets.set(zone.id, target);
+      const state = this.states.get(zone.id);
+      this.states.set(zone.id, { zone, config, intensity: state ? state.intensity : 0 });
+    }
+
+    let result = [];
+    const fadingOut = [];
+    const step = this.fadeSpeed * deltaTime;
+    for (const [zoneId, state] of this.states) {
+      const enabled = targets.has(zoneId);
+      // Move toward the target by at most one step
+      const target = enabled ? targets.get(zoneId) : 0;
+      state.intensity = Math.min(state.intensity + step, Math.max(state.intensity - step, target));
+
+      if (!enabled && state.intensity <= 0) {
+        this.states.delete(zoneId);
+        continue;
+      }
+      const region = { ...state.config, zone: state.zone, intensity: state.intensity };
+      result.push(region);
+      if (!enabled) fadingOut.push(region);
+    }
+
+    if (result.length > limit) {
+      const dropped = new Set(fadingOut
+        .sort((a, b) => a.intensity - b.intensity)
+        .slice(0, result.length - limit));
+      result = result.filter(region => !dropped.has(region));
+    }
+
+    return result.sort((a, b) => b.zone.priority - a.zone.priority);
+  }
+
+  /**
+   * Drop all regions immediately
+   */
+  clear() {
+    this.states.clear();
+  }
+}
@@ -0,0 +1,140 @@
+// Ripple Module
+// Expanding shockwave that pushes splats outward and brightens them in a spherical wavefront from a point
+
+import * as THREE from "three";
+
+// Maximum number of ripples in flight at once
+export const MAX_RIPPLES = 4;
+
+/**
+ * Create a ripple modifier for a splat mesh
+ * Each ripple is a spherical shell that grows from its origin at `speed`
+ * meters per second. Splats the shell passes over are pushed away from the
+ * origin and brightened, and the whole ripple fades out over `duration`.
+ * Ripples are started with controls.triggerRipple().
+ * @param {object} dyno - The dyno library object
+ * @param {object} animateT - The animated time value in seconds (dynoFloat)
+ * @param {object} options - Default settings for triggered ripples
+ * @returns {object} Object containing the modifier and control functions
+ */
+export function createRippleModifier(dyno, animateT, options = {}) {
+  const {
+    speed = 4.0,        // Growth of the wavefront in meters per second
+    amplitude = 0.08,   // Outward push at the wavefront in meters
+    width = 0.6,        // Thickness of the wavefront in meters
+    brightness = 0.8,   // Extra brightness at the wavefront (0 = none)
+    duration = 3.0      // Seconds until the ripple has faded out
+  } = options;
+
+  // Per ripple: origin xyz = position, w = start time;
+  // shape x = speed, y = amplitude, z = width, w = duration; look x = brightness
+  const vec4Uniform = () => new dyno.DynoUniform({
+    type: "vec4",
+    count: MAX_RIPPLES,
+    value: Array.from({ length: MAX_RIPPLES }, () => new THREE.Vector4())
+  });
+  const originsVal = vec4Uniform();
+  const shapesVal = vec4Uniform();
+  const looksVal = vec4Uniform();
+
+  // Time at which each slot's ripple has faded out (-Infinity = free)
+  const endTimes = new Array(MAX_RIPPLES).fill(-Infinity);
+
+  const modifier = dyno.dynoBlock(
+    { gsplat: dyno.Gsplat },
+    { gsplat: dyno.Gsplat },
+    ({ gsplat }) => {
+      // Create an inline GLSL block that has all the inputs we need
+      const d = new dyno.Dyno({
+        inTypes: {
+          gsplat: dyno.Gsplat,
+          t: "float",
+          origins: "vec4",
+          shapes: "vec4",
+          looks: "vec4"
+        },
+        outTypes: { gsplat: dyno.Gsplat },
+        globals: () => [
+          dyno.unindent(`
+            // Strength of a ripple's wavefront at distance d from its origin (0..1)
+            float rippleFront(float d, float age, vec4 shape) {
+              float x = (d - shape.x * age) / max(shape.z, 0.0001);
+              float fade = 1.0 - age / max(shape.w, 0.0001);
+              return exp(-x * x) * fade * fade;
+            }
+          `)
+        ],
+        statements: ({ inputs, outputs }) => dyno.unindentLines(`
+          ${outputs.gsplat} = ${inputs.gsplat};
+          vec3 center = ${inputs.gsplat}.center;
+          vec3 offset = vec3(0.0);
+          float glow = 0.0;
+
+          for (int i = 0; i < ${MAX_RIPPLES}; i++) {
+            vec4 origin = ${inputs.origins}[i];
+            vec4 shape = ${inputs.shapes}[i];
+            float age = ${inputs.t} - origin.w;
+            if (age < 0.0 || age >= shape.w) continue;
+
+            vec3 away = center - origin.xyz;
+            float d = length(away);
+            float front = rippleFront(d, age, shape);
+            if (d > 0.0001) {
+              offset += away / d * shape.y * front;
+            }
+            glow += ${inputs.looks}[i].x * front;
+          }
+
+          ${outputs.gsplat}.center = center + offset;
+          ${outputs.gsplat}.rgba.rgb = ${inputs.gsplat}.rgba.rgb * (1.0 + glow);
+        `),
+      });
+      // Apply the GLSL block with appropriate inputs and return the output
+      gsplat = d.apply({
+        gsplat,
+        t: animateT,
+        origins: originsVal,
+        shapes: shapesVal,
+        looks: looksVal
+      }).gsplat;
+      return { gsplat };
+    },
+  );
+
+  return {
+    modifier,
+    // Control functions for dynamic updates
+    controls: {
+      /**
+       * Start a ripple
+       * When all slots are in use, the ripple closest to fading out is replaced.
+       * @param {THREE.Vector3|Array<number>} position - World-space origin
+       * @param {object} rippleOptions - { speed, amplitude, width, brightness, duration };
+       *   settings left out use the options this modifier was created with
+       */
+      triggerRipple: (position, rippleOptions = {}) => {
+        const origin = Array.isArray(position) ? new THREE.Vector3(...position) : position;
+        const rippleDuration = rippleOptions.duration ?? duration;
+        const now = animateT.value;
+
+        const slot = endTimes.indexOf(Math.min(...endTimes));
+        endTimes[slot] = now + rippleDuration;
+        originsVal.value[slot].set(origin.x, origin.y, origin.z, now);
+        shapesVal.value[slot].set(
+          rippleOptions.speed ?? speed,
+          rippleOptions.amplitude ?? amplitude,
+          rippleOptions.width ?? width,
+          rippleDuration
+        );
+        looksVal.value[slot].set(rippleOptions.brightness ?? brightness, 0, 0, 0);
+      },
+      /** Check if any ripple is still visible */
+      isActive: () => endTimes.some(end => end > animateT.value),
+      /** Stop all ripples immediately */
+      clear: () => {
+        endTimes.fill(-Infinity);
+        shapesVal.value.forEach(shape => shape.set(0, 0, 0, 0));
+      }
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// Save Config Module
+// Browser helper for the dev server's config write-back endpoint (config-write-back in vite.config.js)
+
+import { reportConfigErrors } from './config-validator.js';
+
+/**
+ * Save a config file to public/assets through the dev server
+ * The server validates the config against its schema and keeps a timestamped
+ * backup of the previous file in config-backups/. Saving also triggers the
+ * config hot reload, so the scene picks up the new file.
+ * @param {string} file - 'effects-config.json' or 'audio-config.json'
+ * @param {object|Array} config - The config to write
+ * @returns {Promise<object>} { ok, file, backup } from the server
+ */
+export async function saveConfig(file, config) {
+  if (!import.meta.env.DEV) {
+    throw new Error('saveConfig is only available when running the Vite dev server');
+  }
+
+  const response = await fetch('/__save-config', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ file, config })
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    reportConfigErrors(file, result.errors || []);
+    throw new Error(result.error || `Saving ${file} failed: ${response.status}`);
+  }
+
+  window.debugLogHigh('info', `Saved ${file}${result.backup ? ` (backup: ${result.backup})` : ''}`);
+  return result;
+}
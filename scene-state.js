@@ -0,0 +1,139 @@
+// Scene State Module
+// Small key/value store of story flags and counters shared by zones, audio and other systems
+
+/**
+ * Scene State
+ * Holds flags and counters, notifies subscribers on change and evaluates
+ * the `when` conditions used in effects-config.json and audio-config.json.
+ */
+export class SceneState {
+  constructor() {
+    this.values = new Map();
+    this.listeners = [];
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - State key
+   * @param {*} defaultValue - Returned when the key has never been set
+   * @returns {*}
+   */
+  get(key, defaultValue = undefined) {
+    return this.values.has(key) ? this.values.get(key) : defaultValue;
+  }
+
+  /**
+   * Check if a key has been set
+   * @param {string} key - State key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.values.has(key);
+  }
+
+  /**
+   * Set a value, notifying subscribers if it changed
+   * @param {string} key - State key
+   * @param {*} value - New value
+   */
+  set(key, value) {
+    const previous = this.values.get(key);
+    if (previous === value && this.values.has(key)) return;
+    this.values.set(key, value);
+    this.listeners.forEach(cb => cb(key, value, previous));
+  }
+
+  /**
+   * Add to a numeric counter (missing counters start at 0)
+   * @param {string} key - State key
+   * @param {number} amount - Amount to add (default: 1)
+   * @returns {number} The new value
+   */
+  increment(key, amount = 1) {
+    const value = (Number(this.get(key, 0)) || 0) + amount;
+    this.set(key, value);
+    return value;
+  }
+
+  /**
+   * Apply a block of state actions from a config file
+   * `{ "set": { "key": value }, "increment": "key" | ["key", ...] | { "key": amount } }`
+   * @param {object} actions - Actions to apply (null/undefined is ignored)
+   */
+  apply(actions) {
+    if (!actions) return;
+
+    if (actions.set) {
+      for (const [key, value] of Object.entries(actions.set)) {
+        this.set(key, value);
+      }
+    }
+
+    if (actions.increment) {
+      if (typeof actions.increment === 'object' && !Array.isArray(actions.increment)) {
+        for (const [key, amount] of Object.entries(actions.increment)) {
+          this.increment(key, amount);
+        }
+      } else {
+        for (const key of [].concat(actions.increment)) {
+          this.increment(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {function} callback - Function(key, value, previous) called on every change
+   * @returns {function} Call to unsubscribe
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Evaluate a `when` condition; every clause present must hold
+   * - visited / notVisited: zone ID or array of zone IDs (reads `visits.<zoneId>`)
+   * - flag / notFlag: key or array of keys that must be truthy / falsy
+   * - equals: { key: value } exact matches
+   * - atLeast / below: { key: number } numeric comparisons
+   * @param {object} condition - The condition (null/undefined always matches)
+   * @returns {boolean}
+   */
+  matches(condition) {
+    if (!condition) return true;
+
+    const list = (value) => [].concat(value ?? []);
+    const visits = (zoneId) => Number(this.get(`visits.${zoneId}`, 0)) || 0;
+
+    if (!list(condition.visited).every(id => visits(id) > 0)) return false;
+    if (!list(condition.notVisited).every(id => visits(id) === 0)) return false;
+    if (!list(condition.flag).every(key => Boolean(this.get(key)))) return false;
+    if (!list(condition.notFlag).every(key => !this.get(key))) return false;
+
+    for (const [key, value] of Object.entries(condition.equals || {})) {
+      if (this.get(key) !== value) return false;
+    }
+    for (const [key, value] of Object.entries(condition.atLeast || {})) {
+      if (!(Number(this.get(key, 0)) >= value)) return false;
+    }
+    for (const [key, value] of Object.entries(condition.below || {})) {
+      if (!(Number(this.get(key, 0)) < value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get a plain object copy of all state, for debugging
+   * @returns {object}
+   */
+  snapshot() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+// Shared store used by the scene's systems
+export const sceneState = new SceneState();
@@ -0,0 +1,139 @@
+// Zone Index Benchmark
+// Compares ZoneGridIndex point queries against a linear scan over synthetic zone sets
+// Usage: npm run bench:zones [-- --queries 20000 --seed 7]
+
+import { performance } from 'perf_hooks';
+import { ZoneGridIndex } from '../zone-index.js';
+
+const args = parseArgs(process.argv.slice(2));
+const QUERY_COUNT = Number(args.queries) || 20000;
+const ZONE_COUNTS = args.zones ? String(args.zones).split(',').map(Number) : [10, 100, 500, 1000, 5000];
+
+// House-sized world, similar to memory-house-lod.spz
+const WORLD_MIN = { x: -20, y: -5, z: -30 };
+const WORLD_MAX = { x: 100, y: 10, z: 50 };
+
+let seed = Number(args.seed) || 1;
+
+/**
+ * Deterministic PRNG (mulberry32) so runs are comparable
+ * @returns {number} Value in [0, 1)
+ */
+function random() {
+  seed |= 0;
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomRange(min, max) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Generate small trigger zones scattered through the world
+ * @param {number} count - Number of zones
+ * @returns {Array<object>} Index entries { item, min, max }
+ */
+function generateZones(count) {
+  const zones = [];
+  for (let i = 0; i < count; i++) {
+    const size = { x: randomRange(1, 6), y: randomRange(2, 4), z: randomRange(1, 6) };
+    const min = {
+      x: randomRange(WORLD_MIN.x, WORLD_MAX.x - size.x),
+      y: randomRange(WORLD_MIN.y, WORLD_MAX.y - size.y),
+      z: randomRange(WORLD_MIN.z, WORLD_MAX.z - size.z)
+    };
+    const max = { x: min.x + size.x, y: min.y + size.y, z: min.z + size.z };
+    zones.push({ item: `zone-${i}`, min, max });
+  }
+  return zones;
+}
+
+function generatePoints(count) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    points.push({
+      x: randomRange(WORLD_MIN.x, WORLD_MAX.x),
+      y: randomRange(WORLD_MIN.y, WORLD_MAX.y),
+      z: randomRange(WORLD_MIN.z, WORLD_MAX.z)
+    });
+  }
+  return points;
+}
+
+function linearQuery(entries, point, out) {
+  out.length = 0;
+  for (const { item, min, max } of entries) {
+    if (
+      point.x >= min.x && point.x <= max.x &&
+      point.y >= min.y && point.y <= max.y &&
+      point.z >= min.z && point.z <= max.z
+    ) {
+      out.push(item);
+    }
+  }
+  return out;
+}
+
+/**
+ * Time a query function over all points
+ * @returns {{ ms: number, hits: number }}
+ */
+function time(points, queryFn) {
+  const out = [];
+  let hits = 0;
+  const start = performance.now();
+  for (const point of points) {
+    hits += queryFn(point, out).length;
+  }
+  return { ms: performance.now() - start, hits };
+}
+
+function parseArgs(argv) {
+  const result = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      result[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return result;
+}
+
+console.log(`Zone index benchmark: ${QUERY_COUNT} point queries per zone set\n`);
+console.log('zones    build ms   linear ms   index ms   speedup   hits');
+
+const points = generatePoints(QUERY_COUNT);
+let failed = false;
+
+for (const zoneCount of ZONE_COUNTS) {
+  const entries = generateZones(zoneCount);
+
+  const buildStart = performance.now();
+  const index = new ZoneGridIndex();
+  index.build(entries);
+  const buildMs = performance.now() - buildStart;
+
+  // Warm up both paths before timing
+  time(points.slice(0, 1000), (p, out) => linearQuery(entries, p, out));
+  time(points.slice(0, 1000), (p, out) => index.query(p, out));
+
+  const linear = time(points, (p, out) => linearQuery(entries, p, out));
+  const indexed = time(points, (p, out) => index.query(p, out));
+
+  if (linear.hits !== indexed.hits) {
+    failed = true;
+    console.error(`Mismatch for ${zoneCount} zones: linear found ${linear.hits} hits, index found ${indexed.hits}`);
+  }
+
+  console.log(
+    `${String(zoneCount).padEnd(8)} ${buildMs.toFixed(2).padStart(8)}   ${linear.ms.toFixed(2).padStart(9)}   ` +
+    `${indexed.ms.toFixed(2).padStart(8)}   ${(linear.ms / indexed.ms).toFixed(1).padStart(6)}x   ${indexed.hits}`
+  );
+}
+
+if (failed) {
+  process.exit(1);
+}
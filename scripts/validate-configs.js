@@ -0,0 +1,80 @@
+// Config Validation CLI
+// Checks effects-config.json and audio-config.json against the schemas in schemas/ without a browser
+// Usage: npm run validate:configs [-- path/to/effects-config.json path/to/audio-config.json]
+
+import { readFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { validateEffectsConfig, validateAudioConfig } from '../config-validator.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_FILES = [
+  join(ROOT, 'public', 'assets', 'effects-config.json'),
+  join(ROOT, 'public', 'assets', 'audio-config.json')
+];
+
+const files = process.argv.slice(2).length > 0 ? process.argv.slice(2) : DEFAULT_FILES;
+const schemas = {
+  effects: readJson(join(ROOT, 'schemas', 'effects-config.schema.json')),
+  audio: readJson(join(ROOT, 'schemas', 'audio-config.schema.json'))
+};
+
+let errorCount = 0;
+const zoneIds = new Set();
+const audioZoneRefs = [];
+
+for (const file of files) {
+  // Audio configs are the files with "audio" in their name, everything else is an effects config
+  const kind = basename(file).includes('audio') ? 'audio' : 'effects';
+
+  let config;
+  try {
+    config = readJson(file);
+  } catch (error) {
+    console.error(`${file}: ${error.message}`);
+    errorCount++;
+    continue;
+  }
+
+  const { errors } = kind === 'audio'
+    ? validateAudioConfig(config, schemas.audio)
+    : validateEffectsConfig(config, schemas.effects);
+
+  for (const { path, message } of errors) {
+    console.error(`${file}: ${path}: ${message}`);
+  }
+  errorCount += errors.length;
+  console.log(`${file}: ${errors.length === 0 ? 'ok' : `${errors.length} error(s)`}`);
+
+  // Collect zone references for the cross-file check below
+  if (kind === 'effects' && Array.isArray(config.zones)) {
+    config.zones.forEach(zone => zoneIds.add(zone?.id));
+  } else if (kind === 'audio' && Array.isArray(config)) {
+    config.forEach((source, index) => {
+      if (typeof source?.zone === 'string') audioZoneRefs.push({ file, index, zone: source.zone });
+    });
+  }
+}
+
+// An audio source following an unknown zone would silently stay at weight 0
+if (zoneIds.size > 0) {
+  for (const { file, index, zone } of audioZoneRefs) {
+    if (!zoneIds.has(zone)) {
+      console.error(`${file}: [${index}].zone: unknown zone ID "${zone}"`);
+      errorCount++;
+    }
+  }
+}
+
+if (errorCount > 0) {
+  process.exit(1);
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - Path to the file
+ * @returns {*} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
@@ -0,0 +1,140 @@
+// Splat Regions Module
+// Encodes effect zone shapes as dyno uniforms so splat modifiers can scope their effect to a zone's volume
+
+import * as THREE from "three";
+
+// Shape IDs stored in the w component of a region's shape uniform
+const REGION_BOX = 0;
+const REGION_SPHERE = 1;
+const REGION_CYLINDER = 2;
+
+/**
+ * GLSL helpers for region uniforms, included in a modifier's globals
+ * `regionWeight(p, shape, extents, rotation)` returns 0 outside the region and
+ * ramps to 1 at `feather` meters inside it, matching the zone weight used on the
+ * CPU (see EffectZoneManager.getZoneWeight). Identical globals are only emitted
+ * once, so several modifiers in one program can all include this.
+ */
+export const REGION_GLSL = `
+  // Rotate a vector by a quaternion
+  vec3 regionRotate(vec4 q, vec3 v) {
+    return v + 2.0 * cross(q.xyz, cross(q.xyz, v) + q.w * v);
+  }
+
+  // Signed distance to a region's boundary, negative inside
+  float regionDistance(vec3 p, vec4 shape, vec4 extents, vec4 rotation) {
+    vec3 local = regionRotate(rotation, p - shape.xyz);
+    int type = int(shape.w + 0.5);
+
+    if (type == ${REGION_SPHERE}) {
+      return length(local) - extents.x;
+    }
+    if (type == ${REGION_CYLINDER}) {
+      vec2 d = vec2(length(local.xz) - extents.x, abs(local.y) - extents.y);
+      return length(max(d, 0.0)) + min(max(d.x, d.y), 0.0);
+    }
+    vec3 q = abs(local) - extents.xyz;
+    return length(max(q, 0.0)) + min(max(q.x, max(q.y, q.z)), 0.0);
+  }
+
+  // 0 outside the region, ramping to 1 at feather (extents.w) meters inside
+  float regionWeight(vec3 p, vec4 shape, vec4 extents, vec4 rotation) {
+    float d = regionDistance(p, shape, extents, rotation);
+    return extents.w > 0.0 ? clamp(-d / extents.w, 0.0, 1.0) : step(d, 0.0);
+  }
+`;
+
+/**
+ * Create uniform arrays holding up to `count` regions
+ * Each region takes three vec4s:
+ * - shape:    xyz = center, w = shape ID
+ * - extents:  xyz = half extents (sphere: x = radius; cylinder: x = radius, y = half height), w = feather
+ * - rotation: world-to-local quaternion
+ * @param {object} dyno - The dyno library object
+ * @param {number} count - Number of region slots
+ * @returns {object} { shapes, extents, rotations, setRegion(index, zone) }
+ */
+export function createRegionUniforms(dyno, count) {
+  const vec4Array = () => new dyno.DynoUniform({
+    type: "vec4",
+    count,
+    value: Array.from({ length: count }, () => new THREE.Vector4())
+  });
+  const shapes = vec4Array();
+  const extents = vec4Array();
+  const rotations = vec4Array();
+
+  return {
+    shapes,
+    extents,
+    rotations,
+    /**
+     * Encode a zone's shape into a region slot
+     * @param {number} index - Slot index
+     * @param {object} zone - A zone with fields produced by parseZoneShape
+     * @param {number} feather - Soft edge width in meters (default: the zone's feather)
+     */
+    setRegion: (index, zone, feather = zone.feather || 0) => {
+      encodeRegion(zone, feather, shapes.value[index], extents.value[index], rotations.value[index]);
+    }
+  };
+}
+
+/**
+ * Create a warning for lists that don't fit a fixed number of uniform slots
+ * Region and emitter lists are set every frame, so the warning is only
+ * logged when a list first overflows, and again after it has fit in between.
+ * @param {function} message - Function(count, max) returning the warning text
+ * @param {number} max - Number of slots
+ * @returns {function} Function(count) to call with each list's length
+ */
+export function createOverflowWarning(message, max) {
+  let overflowing = false;
+  return (count) => {
+    if (count > max && !overflowing) {
+      console.warn(message(count, max));
+    }
+    overflowing = count > max;
+  };
+}
+
+/**
+ * Encode a zone's shape into region vectors
+ * Prisms have no shader shape of their own and are approximated by their bounding box.
+ * @param {object} zone - Parsed zone
+ * @param {number} feather - Soft edge width in meters
+ * @param {THREE.Vector4} shape - Receives center and shape ID
+ * @param {THREE.Vector4} extents - Receives size and feather
+ * @param {THREE.Vector4} rotation - Receives the world-to-local quaternion
+ */
+function encodeRegion(zone, feather, shape, extents, rotation) {
+  rotation.set(0, 0, 0, 1);
+
+  switch (zone.type) {
+    case 'sphere':
+      shape.set(zone.center.x, zone.center.y, zone.center.z, REGION_SPHERE);
+      extents.set(zone.radius, 0, 0, feather);
+      break;
+
+    case 'cylinder':
+      shape.set(zone.center.x, zone.center.y, zone.center.z, REGION_CYLINDER);
+      extents.set(zone.radius, zone.height / 2, 0, feather);
+      break;
+
+    case 'obb': {
+      const q = zone.inverseQuaternion;
+      shape.set(zone.center.x, zone.center.y, zone.center.z, REGION_BOX);
+      extents.set(zone.halfExtents.x, zone.halfExtents.y, zone.halfExtents.z, feather);
+      rotation.set(q.x, q.y, q.z, q.w);
+      break;
+    }
+
+    default: {
+      // Boxes, and prisms by their bounds
+      const { min, max } = zone.bounds;
+      shape.set((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2, REGION_BOX);
+      extents.set((max.x - min.x) / 2, (max.y - min.y) / 2, (max.z - min.z) / 2, feather);
+      break;
+    }
+  }
+}
@@ -0,0 +1,90 @@
+// Text Sprite Module
+// Camera-facing text labels drawn to a canvas texture, for debug overlays
+
+import * as THREE from "three";
+
+const FONT_SIZE = 48; // Canvas pixels; the texture is scaled down to `height` in the scene
+const PADDING = 12;
+
+/**
+ * Create a billboarded text label
+ * @param {string} text - Label text (use \n for multiple lines)
+ * @param {object} options - Label options
+ * @param {number} options.height - World-space height of one line of text in meters (default: 0.25)
+ * @param {string} options.color - CSS text color (default: '#ffffff')
+ * @param {string} options.background - CSS background color (default: 'rgba(0, 0, 0, 0.6)')
+ * @returns {THREE.Sprite}
+ */
+export function createTextSprite(text, options = {}) {
+  const {
+    height = 0.25,
+    color = '#ffffff',
+    background = 'rgba(0, 0, 0, 0.6)'
+  } = options;
+
+  const canvas = document.createElement('canvas');
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearFilter;
+
+  const material = new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: false, // Labels stay readable through walls and splats
+    depthWrite: false
+  });
+  const sprite = new THREE.Sprite(material);
+  sprite.renderOrder = 999;
+  sprite.userData.textStyle = { height, color, background };
+  sprite.userData.text = null;
+
+  updateTextSprite(sprite, text);
+  return sprite;
+}
+
+/**
+ * Redraw a label's text (skipped when the text hasn't changed)
+ * @param {THREE.Sprite} sprite - Sprite from createTextSprite
+ * @param {string} text - New label text
+ */
+export function updateTextSprite(sprite, text) {
+  if (sprite.userData.text === text) return;
+  sprite.userData.text = text;
+
+  const { height, color, background } = sprite.userData.textStyle;
+  const texture = sprite.material.map;
+  const canvas = texture.image;
+  const context = canvas.getContext('2d');
+  const lines = String(text).split('\n');
+  const font = `${FONT_SIZE}px monospace`;
+
+  context.font = font;
+  const textWidth = Math.max(...lines.map(line => context.measureText(line).width));
+  canvas.width = Math.ceil(textWidth + PADDING * 2);
+  canvas.height = Math.ceil(lines.length * FONT_SIZE * 1.2 + PADDING * 2);
+
+  // Resizing the canvas resets its state
+  context.font = font;
+  context.textBaseline = 'top';
+  context.fillStyle = background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = color;
+  lines.forEach((line, i) => context.fillText(line, PADDING, PADDING + i * FONT_SIZE * 1.2));
+
+  // A new size needs a new GPU texture
+  texture.dispose();
+  texture.needsUpdate = true;
+
+  const worldHeight = height * (canvas.height / (FONT_SIZE * 1.2));
+  sprite.scale.set(worldHeight * (canvas.width / canvas.height), worldHeight, 1);
+}
+
+/**
+ * Free a label's texture and material
+ * @param {THREE.Sprite} sprite - Sprite from createTextSprite
+ */
+export function disposeTextSprite(sprite) {
+  sprite.removeFromParent();
+  sprite.material.map.dispose();
+  sprite.material.dispose();
+}
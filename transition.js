@@ -0,0 +1,148 @@
+// Transition Module
+// Reveal and dissolve transitions that materialize or dissolve a splat mesh outward from a point
+
+import * as THREE from "three";
+
+/**
+ * Create a reveal/dissolve transition modifier for a splat mesh
+ * A spherical front moves outward from an origin. Splats inside the front
+ * are shown, splats outside it are hidden, and splats near it fade and scale
+ * up as it passes. A per-splat random offset breaks the front up so it
+ * doesn't read as a hard sphere. Dissolve plays the reveal backwards.
+ * The transition is driven by controls.update(deltaTime), called every frame.
+ * @param {object} dyno - The dyno library object
+ * @param {object} options - Configuration options
+ * @returns {object} Object containing the modifier and control functions
+ */
+export function createTransitionModifier(dyno, options = {}) {
+  const {
+    radius = 50.0,          // Distance in meters the front travels; should cover the whole mesh
+    edge = 2.0,             // Width in meters over which splats fade and scale in
+    noise = 1.5,            // Random per-splat offset of the front in meters
+    duration = 4.0,         // Default transition length in seconds
+    initialProgress = 1.0   // 0 = hidden, 1 = fully revealed
+  } = options;
+
+  const progressVal = dyno.dynoFloat(initialProgress);
+  // x,y,z = origin, w = radius
+  const originVal = dyno.dynoVec4(new THREE.Vector4(0, 0, 0, radius));
+  // x = edge, y = noise
+  const shapeVal = dyno.dynoVec4(new THREE.Vector4(edge, noise, 0, 0));
+
+  // Running animation: { from, to, elapsed, duration, resolve }
+  let animation = null;
+
+  const modifier = dyno.dynoBlock(
+    { gsplat: dyno.Gsplat },
+    { gsplat: dyno.Gsplat },
+    ({ gsplat }) => {
+      // Create an inline GLSL block that has all the inputs we need
+      const d = new dyno.Dyno({
+        inTypes: { gsplat: dyno.Gsplat, progress: "float", origin: "vec4", shape: "vec4" },
+        outTypes: { gsplat: dyno.Gsplat },
+        globals: () => [
+          dyno.unindent(`
+            // Stable random value in [0, 1) for a splat position
+            float transitionHash(vec3 p) {
+              return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+            }
+          `)
+        ],
+        statements: ({ inputs, outputs }) => dyno.unindentLines(`
+          ${outputs.gsplat} = ${inputs.gsplat};
+          vec3 center = ${inputs.gsplat}.center;
+          float edge = max(${inputs.shape}.x, 0.0001);
+          float noise = ${inputs.shape}.y;
+
+          // At progress 1 the front is past every splat within the radius, noise and edge included
+          float front = ${inputs.progress} * (${inputs.origin}.w + noise + edge);
+          float dist = distance(center, ${inputs.origin}.xyz) + transitionHash(center) * noise;
+          float shown = smoothstep(0.0, 1.0, (front - dist) / edge);
+
+          ${outputs.gsplat}.rgba.a = ${inputs.gsplat}.rgba.a * shown;
+          ${outputs.gsplat}.scales = ${inputs.gsplat}.scales * shown;
+        `),
+      });
+      // Apply the GLSL block with appropriate inputs and return the output
+      gsplat = d.apply({
+        gsplat,
+        progress: progressVal,
+        origin: originVal,
+        shape: shapeVal
+      }).gsplat;
+      return { gsplat };
+    },
+  );
+
+  /**
+   * Animate progress toward a target
+   * A transition that is already running is cut short and its promise resolves with false.
+   * @param {number} to - Target progress
+   * @param {THREE.Vector3|Array<number>} origin - World-space center of the front
+   * @param {object} playOptions - { duration, radius }
+   * @returns {Promise<boolean>} Resolves with true when the transition completes
+   */
+  function play(to, origin, playOptions = {}) {
+    animation?.resolve(false);
+
+    const position = Array.isArray(origin) ? new THREE.Vector3(...origin) : origin;
+    originVal.value.set(position.x, position.y, position.z, playOptions.radius ?? radius);
+
+    return new Promise(resolve => {
+      animation = {
+        from: progressVal.value,
+        to,
+        elapsed: 0,
+        duration: playOptions.duration ?? duration,
+        resolve
+      };
+    });
+  }
+
+  return {
+    modifier,
+    // Control functions for dynamic updates
+    controls: {
+      /**
+       * Materialize the mesh outward from a point
+       * @param {THREE.Vector3|Array<number>} origin - World-space start of the reveal
+       * @param {object} playOptions - { duration, radius }
+       * @returns {Promise<boolean>} Resolves with true when fully revealed, false if interrupted
+       */
+      playReveal: (origin, playOptions) => play(1, origin, playOptions),
+      /**
+       * Dissolve the mesh back toward a point, the reverse of playReveal
+       * @param {THREE.Vector3|Array<number>} origin - World-space point the mesh dissolves toward
+       * @param {object} playOptions - { duration, radius }
+       * @returns {Promise<boolean>} Resolves with true when fully hidden, false if interrupted
+       */
+      playDissolve: (origin, playOptions) => play(0, origin, playOptions),
+      /**
+       * Advance the running transition
+       * @param {number} deltaTime - Seconds since the last update
+       */
+      update: (deltaTime) => {
+        if (!animation) return;
+        animation.elapsed += deltaTime;
+        const t = animation.duration > 0 ? Math.min(animation.elapsed / animation.duration, 1) : 1;
+        // Ease in and out so the front starts and settles gently
+        progressVal.value = THREE.MathUtils.lerp(animation.from, animation.to, THREE.MathUtils.smoothstep(t, 0, 1));
+        if (t >= 1) {
+          const { resolve } = animation;
+          animation = null;
+          resolve(true);
+        }
+      },
+      /** Check if a transition is running */
+      isPlaying: () => animation !== null,
+      /** Set progress directly (0 = hidden, 1 = fully revealed), stopping any running transition */
+      setProgress: (value) => {
+        animation?.resolve(false);
+        animation = null;
+        progressVal.value = value;
+      },
+      /** Get current progress */
+      getProgress: () => progressVal.value
+    }
+  };
+}
@@ -1,13 +1,37 @@
-import { defineConfig } from 'vite';
+import { defineConfig, normalizePath } from 'vite';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateEffectsConfig, validateAudioConfig } from './config-validator.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Config files the dev server may overwrite, with the validator and schema for each
+const WRITABLE_CONFIGS = {
+  'effects-config.json': { validate: validateEffectsConfig, schema: 'effects-config.schema.json' },
+  'audio-config.json': { validate: validateAudioConfig, schema: 'audio-config.schema.json' }
+};
+const MAX_CONFIG_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Check that a request comes from a page served by this dev server
+ * Requests without an Origin header, or with "null" or a malformed one, are refused.
+ * @param {object} req - Incoming request
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+  try {
+    return new URL(req.headers.origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
 export default defineConfig({
   resolve: {
     alias: {
+      // Must precede 'three' so addon imports aren't rewritten to the core module URL
+      'three/addons': 'https://cdn.jsdelivr.net/npm/three@0.180.0/examples/jsm',
       'three': 'https://cdnjs.cloudflare.com/ajax/libs/three.js/0.180.0/three.module.js',
       'lil-gui': 'https://cdn.jsdelivr.net/npm/lil-gui@0.20.0/+esm',
       '@sparkjsdev/spark': '/spark.module.js'
@@ -74,6 +98,114 @@ export default defineConfig({
           next();
         });
       }
+    },
+    {
+      // POST /__save-config { file, config } validates a config and writes it to
+      // public/assets, keeping a timestamped copy of the old file in config-backups/
+      name: 'config-write-back',
+      apply: 'serve',
+      configureServer(server) {
+        if (server.config.isProduction) {
+          server.config.logger.warn('config-write-back is disabled in production mode');
+          return;
+        }
+
+        server.middlewares.use('/__save-config', async (req, res) => {
+          const reply = (status, body) => {
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+          };
+
+          // Errors in an async middleware would otherwise be unhandled rejections that can stop the server
+          try {
+            if (req.method !== 'POST') {
+              return reply(405, { error: 'Use POST' });
+            }
+            // Only pages served by this dev server may write (the server also sends permissive CORS headers)
+            if (!isSameOrigin(req)) {
+              return reply(403, { error: 'Cross-origin requests are not allowed' });
+            }
+
+            let body = '';
+            for await (const chunk of req) {
+              body += chunk;
+              if (body.length > MAX_CONFIG_BYTES) {
+                return reply(413, { error: 'Config too large' });
+              }
+            }
+
+            let file, config;
+            try {
+              ({ file, config } = JSON.parse(body));
+            } catch (error) {
+              return reply(400, { error: `Invalid JSON: ${error.message}` });
+            }
+
+            const target = WRITABLE_CONFIGS[file];
+            if (!target) {
+              return reply(400, { error: `Unknown config file: ${file}` });
+            }
+
+            const schema = JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', target.schema), 'utf8'));
+            const { errors } = target.validate(config, schema);
+            if (errors.length > 0) {
+              return reply(422, { error: `${file} is invalid`, errors });
+            }
+
+            const filePath = path.join(__dirname, 'public', 'assets', file);
+            let backup = null;
+            if (fs.existsSync(filePath)) {
+              const backupDir = path.join(__dirname, 'config-backups');
+              const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+              backup = path.join(backupDir, file.replace(/\.json$/, `.${stamp}.json`));
+              fs.mkdirSync(backupDir, { recursive: true });
+              fs.copyFileSync(filePath, backup);
+            }
+            fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
+
+            server.config.logger.info(`saved ${file}${backup ? ` (backup: ${path.relative(__dirname, backup)})` : ''}`, { timestamp: true });
+            reply(200, { ok: true, file, backup: backup && path.relative(__dirname, backup) });
+          } catch (error) {
+            server.config.logger.error(`Failed to save config: ${error.message}`, { timestamp: true });
+            if (res.headersSent) {
+              res.end();
+            } else {
+              reply(500, { error: `Failed to save config: ${error.message}` });
+            }
+          }
+        });
+      }
+    },
+    {
+      // Push edits to the JSON configs over the HMR channel so the page can
+      // apply them live instead of reloading (and re-downloading the splat)
+      name: 'config-hot-reload',
+      apply: 'serve',
+      async handleHotUpdate({ file, server, read }) {
+        // Vite reports `file` with forward slashes, so normalize ours too or Windows paths never match
+        const configDir = normalizePath(path.join(__dirname, 'public', 'assets'));
+        const configFiles = ['effects-config.json', 'audio-config.json'];
+        const filePath = normalizePath(file);
+        const fileName = path.posix.basename(filePath);
+        if (path.posix.dirname(filePath) !== configDir || !configFiles.includes(fileName)) {
+          return;
+        }
+
+        try {
+          const config = JSON.parse(await read());
+          server.ws.send({
+            type: 'custom',
+            event: 'config-update',
+            data: { file: fileName, config }
+          });
+          server.config.logger.info(`config updated: ${fileName}`, { timestamp: true });
+        } catch (error) {
+          // Half-saved or invalid JSON: keep the current config until the next save
+          server.config.logger.error(`Invalid JSON in ${fileName}: ${error.message}`, { timestamp: true });
+        }
+        return [];
+      }
     }
   ],
   build: {
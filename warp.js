@@ -1,57 +1,189 @@
 // Warp Module
 // Handles the warp/pulse animation effect for splat meshes using DynoBlock
 
+import * as THREE from "three";
+import { REGION_GLSL, createRegionUniforms, createOverflowWarning } from './splat-regions.js';
+
+// Maximum number of zone-scoped warp regions evaluated at once
+export const MAX_WARP_REGIONS = 8;
+
+// Soft edge in meters for warp regions whose zone has no feather, so the distortion doesn't tear at the boundary
+export const DEFAULT_WARP_EDGE = 0.5;
+
 /**
  * Create a warp modifier for a splat mesh
+ * Sways splat centers sideways and pulses their scales. Without regions the
+ * whole mesh warps with the global parameters. Regions (see controls.setRegions)
+ * limit the warp to zone volumes, each with its own parameters, and are layered
+ * by priority like flicker regions.
  * @param {object} dyno - The dyno library object
  * @param {object} animateT - The animated time value (dynoFloat)
- * @returns {object} The objectModifier to be assigned to a SplatMesh
+ * @param {object} options - Configuration options
+ * @returns {object} Object containing the modifier and control functions
  */
-export function createWarpModifier(dyno, animateT) {
-  const applyWarp = dyno.dynoBool(true);
-  
-  return dyno.dynoBlock(
+export function createWarpModifier(dyno, animateT, options = {}) {
+  const {
+    amplitude = 0.02,       // Sway distance in meters
+    frequency = 5.0,        // Spatial frequency of the sway (radians per meter)
+    speed = 1.0,            // Sway speed
+    pulseAmplitude = 0.4,   // Relative scale change of the pulse (0 = no pulse)
+    pulseFrequency = 2.0,   // Spatial frequency of the pulse (radians per meter)
+    pulseSpeed = 1.0,       // Pulse speed
+    initialIntensity = 1.0  // Initial whole-mesh intensity (0 = no effect, 1 = full effect)
+  } = options;
+
+  // Whole-mesh parameters: wave x = amplitude, y = frequency, z = speed, w = intensity;
+  // pulse x = amplitude, y = frequency, z = speed. Regions use the same layout per region.
+  const waveVal = dyno.dynoVec4(new THREE.Vector4(amplitude, frequency, speed, initialIntensity));
+  const pulseVal = dyno.dynoVec4(new THREE.Vector4(pulseAmplitude, pulseFrequency, pulseSpeed, 0));
+
+  const vec4Uniform = (count) => new dyno.DynoUniform({
+    type: "vec4",
+    count,
+    value: Array.from({ length: count }, () => new THREE.Vector4())
+  });
+  const regions = createRegionUniforms(dyno, MAX_WARP_REGIONS);
+  const regionWavesVal = vec4Uniform(MAX_WARP_REGIONS);
+  const regionPulsesVal = vec4Uniform(MAX_WARP_REGIONS);
+  const regionCountVal = dyno.dynoInt(0);
+  const warnRegionOverflow = createOverflowWarning((count, max) =>
+    `Warp: ${count} regions active, only the first ${max} are used`, MAX_WARP_REGIONS);
+
+  const modifier = dyno.dynoBlock(
     { gsplat: dyno.Gsplat },
     { gsplat: dyno.Gsplat },
     ({ gsplat }) => {
       // Create an inline GLSL block that has all the inputs we need
       const d = new dyno.Dyno({
-        inTypes: { gsplat: dyno.Gsplat, t: "float", applyWarp: "bool" },
+        inTypes: {
+          gsplat: dyno.Gsplat,
+          t: "float",
+          wave: "vec4",
+          pulse: "vec4",
+          regionShapes: "vec4",
+          regionExtents: "vec4",
+          regionRotations: "vec4",
+          regionWaves: "vec4",
+          regionPulses: "vec4",
+          regionCount: "int"
+        },
         outTypes: { gsplat: dyno.Gsplat },
         globals: () => [
+          dyno.unindent(REGION_GLSL),
           dyno.unindent(`
-            vec3 warp(vec3 pos, float t) {
-              float spatialFrequency = 5.0;
-              float amplitude = 0.02;
-              return vec3(pos.x + amplitude * sin(t + spatialFrequency * pos.x), 
-              pos.y, 
-              pos.z + amplitude * sin(t + spatialFrequency * pos.z));
+            // Sideways sway of a splat center (wave: amplitude, frequency, speed, intensity)
+            vec3 warpOffset(vec3 pos, float t, vec4 wave) {
+              float amplitude = wave.x * wave.w;
+              return vec3(
+                amplitude * sin(t * wave.z + wave.y * pos.x),
+                0.0,
+                amplitude * sin(t * wave.z + wave.y * pos.z)
+              );
             }
-            vec3 pulse(vec3 scales, vec3 pos, float t) {
+
+            // Pulsing splat scales, capped just above the largest original scale
+            vec3 warpPulse(vec3 scales, vec3 pos, float t, vec4 pulse, float intensity) {
               float maxScale = 1.1 * max(scales.x, max(scales.y, scales.z));
-              float period = 1.0;
-              float baseScale = 1.0;
-              float amplitude = 0.4;
-              float spatialFrequency = 2.0;
-              float x = min(maxScale, scales.x * (baseScale + amplitude * sin(t * period + spatialFrequency * pos.x)));
-              float y = min(maxScale, scales.y * (baseScale + amplitude * sin(t * period + spatialFrequency * pos.y)));
-              float z = min(maxScale, scales.z * (baseScale + amplitude * sin(t * period + spatialFrequency * pos.z)));
-              return vec3(x, y, z);
+              vec3 phase = t * pulse.z + pulse.y * pos;
+              return min(vec3(maxScale), scales * (1.0 + pulse.x * intensity * sin(phase)));
             }
           `)
         ],
         statements: ({ inputs, outputs }) => dyno.unindentLines(`
           ${outputs.gsplat} = ${inputs.gsplat};
-          if(${inputs.applyWarp}) {
-            ${outputs.gsplat}.center = warp(${inputs.gsplat}.center, ${inputs.t});
-            ${outputs.gsplat}.scales = pulse(${inputs.gsplat}.scales, ${inputs.gsplat}.center, ${inputs.t});
+          vec3 center = ${inputs.gsplat}.center;
+          vec3 scales = ${inputs.gsplat}.scales;
+
+          if (${inputs.regionCount} == 0) {
+            // No regions: the whole mesh warps with the global parameters
+            if (${inputs.wave}.w > 0.0) {
+              ${outputs.gsplat}.center = center + warpOffset(center, ${inputs.t}, ${inputs.wave});
+              ${outputs.gsplat}.scales = warpPulse(scales, center, ${inputs.t}, ${inputs.pulse}, ${inputs.wave}.w);
+            }
+          } else {
+            // Regions are layered front to back, as in the flicker modifier
+            vec3 offset = vec3(0.0);
+            vec3 pulsed = vec3(0.0);
+            float remaining = 1.0;
+            for (int i = 0; i < ${MAX_WARP_REGIONS}; i++) {
+              if (i >= ${inputs.regionCount} || remaining <= 0.0) break;
+              float coverage = regionWeight(center, ${inputs.regionShapes}[i], ${inputs.regionExtents}[i], ${inputs.regionRotations}[i]);
+              if (coverage <= 0.0) continue;
+
+              vec4 wave = ${inputs.regionWaves}[i];
+              offset += remaining * coverage * warpOffset(center, ${inputs.t}, wave);
+              pulsed += remaining * coverage * warpPulse(scales, center, ${inputs.t}, ${inputs.regionPulses}[i], wave.w);
+              remaining *= 1.0 - coverage;
+            }
+            ${outputs.gsplat}.center = center + offset;
+            ${outputs.gsplat}.scales = pulsed + remaining * scales;
           }
         `),
       });
       // Apply the GLSL block with appropriate inputs and return the output
-      gsplat = d.apply({ gsplat, t: animateT, applyWarp: applyWarp }).gsplat;
+      gsplat = d.apply({
+        gsplat,
+        t: animateT,
+        wave: waveVal,
+        pulse: pulseVal,
+        regionShapes: regions.shapes,
+        regionExtents: regions.extents,
+        regionRotations: regions.rotations,
+        regionWaves: regionWavesVal,
+        regionPulses: regionPulsesVal,
+        regionCount: regionCountVal
+      }).gsplat;
       return { gsplat };
     },
   );
-}
 
+  return {
+    modifier,
+    // Control functions for dynamic updates
+    controls: {
+      /** Set the whole-mesh intensity multiplier (0 = no effect, 1 = full effect) */
+      setIntensity: (value) => { waveVal.value.w = value; },
+      /** Get the whole-mesh intensity */
+      getIntensity: () => waveVal.value.w,
+      /** Update whole-mesh parameters from a config object */
+      updateFromConfig: (config) => {
+        if (config.amplitude !== undefined) waveVal.value.x = config.amplitude;
+        if (config.frequency !== undefined) waveVal.value.y = config.frequency;
+        if (config.speed !== undefined) waveVal.value.z = config.speed;
+        if (config.pulseAmplitude !== undefined) pulseVal.value.x = config.pulseAmplitude;
+        if (config.pulseFrequency !== undefined) pulseVal.value.y = config.pulseFrequency;
+        if (config.pulseSpeed !== undefined) pulseVal.value.z = config.pulseSpeed;
+      },
+      /**
+       * Warp zone volumes independently instead of the whole mesh
+       * Regions are layered in the order given, so pass the highest priority first.
+       * Parameters a region leaves out use the defaults this modifier was created with.
+       * An empty list returns to whole-mesh warp.
+       * @param {Array<object>} regionList - { zone, intensity, amplitude, frequency, speed,
+       *   pulseAmplitude, pulseFrequency, pulseSpeed, edge }
+       */
+      setRegions: (regionList) => {
+        warnRegionOverflow(regionList.length);
+        const count = Math.min(regionList.length, MAX_WARP_REGIONS);
+        for (let i = 0; i < count; i++) {
+          const region = regionList[i];
+          // An explicit edge wins, then the zone's feather, then a default soft edge so the boundary doesn't tear
+          regions.setRegion(i, region.zone, region.edge ?? (region.zone.feather || DEFAULT_WARP_EDGE));
+          regionWavesVal.value[i].set(
+            region.amplitude ?? amplitude,
+            region.frequency ?? frequency,
+            region.speed ?? speed,
+            region.intensity ?? 1
+          );
+          regionPulsesVal.value[i].set(
+            region.pulseAmplitude ?? pulseAmplitude,
+            region.pulseFrequency ?? pulseFrequency,
+            region.pulseSpeed ?? pulseSpeed,
+            0
+          );
+        }
+        regionCountVal.value = count;
+      }
+    }
+  };
+}
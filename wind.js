@@ -0,0 +1,192 @@
+// Wind Module
+// Sways splats in zone volumes with height-weighted gusts that travel downwind, using DynoBlock
+
+import * as THREE from "three";
+import { REGION_GLSL, createRegionUniforms, createOverflowWarning } from './splat-regions.js';
+
+// Maximum number of wind regions evaluated at once
+export const MAX_WIND_REGIONS = 8;
+
+// Soft edge in meters for wind regions whose zone has no feather
+export const DEFAULT_WIND_EDGE = 1.0;
+
+/**
+ * Create a wind modifier for a splat mesh
+ * Wind only applies inside regions (see controls.setRegions), layered by
+ * priority like warp regions. Within a region, splats lean downwind and
+ * flutter. The push grows with height above the zone's floor, so ground
+ * stays put while canopies move. Gusts are noise that travels along the
+ * wind direction at `gustSpeed`, and `gustiness` blends between a steady
+ * lean (0) and pure gusts (1).
+ * @param {object} dyno - The dyno library object
+ * @param {object} animateT - The animated time value in seconds (dynoFloat)
+ * @param {object} options - Defaults for region settings
+ * @returns {object} Object containing the modifier and control functions
+ */
+export function createWindModifier(dyno, animateT, options = {}) {
+  const {
+    direction = [1, 0],   // Downwind direction in the horizontal plane, [x, z]
+    strength = 0.05,      // Push at the top of the zone in meters
+    gustiness = 0.5,      // 0 = steady lean, 1 = gusts only
+    gustSpeed = 3.0       // Speed at which gusts travel downwind in meters per second
+  } = options;
+
+  const vec4Uniform = (count) => new dyno.DynoUniform({
+    type: "vec4",
+    count,
+    value: Array.from({ length: count }, () => new THREE.Vector4())
+  });
+  const regions = createRegionUniforms(dyno, MAX_WIND_REGIONS);
+  // Per region: wind x,y = direction (x, z), z = strength, w = gustiness;
+  // heights x = floor height, y = height range, z = gust speed, w = intensity
+  const regionWindsVal = vec4Uniform(MAX_WIND_REGIONS);
+  const regionHeightsVal = vec4Uniform(MAX_WIND_REGIONS);
+  const regionCountVal = dyno.dynoInt(0);
+  const warnRegionOverflow = createOverflowWarning((count, max) =>
+    `Wind: ${count} regions active, only the first ${max} are used`, MAX_WIND_REGIONS);
+
+  const modifier = dyno.dynoBlock(
+    { gsplat: dyno.Gsplat },
+    { gsplat: dyno.Gsplat },
+    ({ gsplat }) => {
+      // Create an inline GLSL block that has all the inputs we need
+      const d = new dyno.Dyno({
+        inTypes: {
+          gsplat: dyno.Gsplat,
+          t: "float",
+          regionShapes: "vec4",
+          regionExtents: "vec4",
+          regionRotations: "vec4",
+          regionWinds: "vec4",
+          regionHeights: "vec4",
+          regionCount: "int"
+        },
+        outTypes: { gsplat: dyno.Gsplat },
+        globals: () => [
+          dyno.unindent(REGION_GLSL),
+          dyno.unindent(`
+            // Smooth value noise in [0, 1]
+            float windHash(vec3 p) {
+              return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+            }
+
+            float windNoise(vec3 p) {
+              vec3 i = floor(p);
+              vec3 f = fract(p);
+              f = f * f * (3.0 - 2.0 * f);
+              return mix(
+                mix(mix(windHash(i), windHash(i + vec3(1, 0, 0)), f.x),
+                    mix(windHash(i + vec3(0, 1, 0)), windHash(i + vec3(1, 1, 0)), f.x), f.y),
+                mix(mix(windHash(i + vec3(0, 0, 1)), windHash(i + vec3(1, 0, 1)), f.x),
+                    mix(windHash(i + vec3(0, 1, 1)), windHash(i + vec3(1, 1, 1)), f.x), f.y),
+                f.z
+              );
+            }
+
+            // Downwind displacement of a splat (see the uniform layout in wind.js)
+            vec3 windOffset(vec3 pos, float t, vec4 wind, vec4 heights) {
+              vec2 dir = wind.xy;
+              float along = dot(pos.xz, dir);
+              float across = dot(pos.xz, vec2(-dir.y, dir.x));
+
+              // Quadratic in height, like a bending stem
+              float h = clamp((pos.y - heights.x) / max(heights.y, 0.0001), 0.0, 1.0);
+              float reach = wind.z * heights.w * h * h;
+
+              // Gusts are broad noise moving downwind; flutter is a fast, small sway with per-splat phase
+              float gust = windNoise(vec3((along - t * heights.z) * 0.3, pos.y * 0.2, across * 0.3));
+              float lean = mix(1.0, 2.0 * gust, wind.w);
+              float flutter = 0.25 * sin(t * 2.3 + along * 1.7 + 6.2832 * windNoise(pos * 0.8)) * (0.5 + gust);
+
+              return vec3(dir.x, 0.0, dir.y) * reach * (lean + flutter);
+            }
+          `)
+        ],
+        statements: ({ inputs, outputs }) => dyno.unindentLines(`
+          ${outputs.gsplat} = ${inputs.gsplat};
+          vec3 center = ${inputs.gsplat}.center;
+
+          // Regions are layered front to back, as in the warp modifier
+          vec3 offset = vec3(0.0);
+          float remaining = 1.0;
+          for (int i = 0; i < ${MAX_WIND_REGIONS}; i++) {
+            if (i >= ${inputs.regionCount} || remaining <= 0.0) break;
+            float coverage = regionWeight(center, ${inputs.regionShapes}[i], ${inputs.regionExtents}[i], ${inputs.regionRotations}[i]);
+            if (coverage <= 0.0) continue;
+
+            offset += remaining * coverage * windOffset(center, ${inputs.t}, ${inputs.regionWinds}[i], ${inputs.regionHeights}[i]);
+            remaining *= 1.0 - coverage;
+          }
+          ${outputs.gsplat}.center = center + offset;
+        `),
+      });
+      // Apply the GLSL block with appropriate inputs and return the output
+      gsplat = d.apply({
+        gsplat,
+        t: animateT,
+        regionShapes: regions.shapes,
+        regionExtents: regions.extents,
+        regionRotations: regions.rotations,
+        regionWinds: regionWindsVal,
+        regionHeights: regionHeightsVal,
+        regionCount: regionCountVal
+      }).gsplat;
+      return { gsplat };
+    },
+  );
+
+  const windDirection = new THREE.Vector2();
+
+  return {
+    modifier,
+    // Control functions for dynamic updates
+    controls: {
+      /**
+       * Set the zone volumes that sway
+       * Regions are layered in the order given, so pass the highest priority first.
+       * Settings a region leaves out use the defaults this modifier was created with.
+       * @param {Array<object>} regionList - { zone, intensity, direction, strength,
+       *   gustiness, gustSpeed, edge }
+       */
+      setRegions: (regionList) => {
+        warnRegionOverflow(regionList.length);
+        const count = Math.min(regionList.length, MAX_WIND_REGIONS);
+        for (let i = 0; i < count; i++) {
+          const region = regionList[i];
+          const { zone } = region;
+          regions.setRegion(i, zone, region.edge ?? (zone.feather || DEFAULT_WIND_EDGE));
+
+          windDirection.fromArray(region.direction ?? direction);
+          if (windDirection.lengthSq() === 0) windDirection.fromArray(direction);
+          windDirection.normalize();
+          regionWindsVal.value[i].set(
+            windDirection.x,
+            windDirection.y,
+            region.strength ?? strength,
+            region.gustiness ?? gustiness
+          );
+          regionHeightsVal.value[i].set(
+            zone.bounds.min.y,
+            zone.bounds.max.y - zone.bounds.min.y,
+            region.gustSpeed ?? gustSpeed,
+            region.intensity ?? 1
+          );
+        }
+        regionCountVal.value = count;
+      }
+    }
+  };
+}
+
+/**
+ * Scale factor for a region's wind strength from an audio level
+ * Quiet audio weakens the wind and loud audio strengthens it, by up to
+ * `audioInfluence` either way, so `strength` is the mid-level wind.
+ * @param {number} level - Loudness from 0 to 1 (see getAudioLevel in audio.js)
+ * @param {object} config - Wind config with optional audioInfluence and audioGain
+ * @returns {number} Factor to multiply the region's intensity by
+ */
+export function getAudioWindFactor(level, { audioInfluence = 0.5, audioGain = 3 } = {}) {
+  const loudness = Math.min(level * audioGain, 1);
+  return 1 + audioInfluence * (2 * loudness - 1);
+}
@@ -0,0 +1,707 @@
+// Zone Editor Module
+// In-scene editor for effect zones: select, create, move/resize with gizmos, edit effects, export JSON
+// Development tool, loaded on demand from main.js
+
+import * as THREE from "three";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { GUI } from "lil-gui";
+import { parseZoneShape } from './zone-shapes.js';
+import { saveConfig } from './save-config.js';
+import { FLICKER_PRESETS } from './flicker.js';
+import { validateEffectsConfig } from './config-validator.js';
+import effectsConfigSchema from './schemas/effects-config.schema.json';
+
+// Proxy appearance
+const PROXY_COLOR = 0x00ccff;
+const SELECTED_COLOR = 0xffcc00;
+const PROXY_OPACITY = 0.12;
+
+// Size of zones created at the camera (matches printBoundingBox)
+const NEW_ZONE_SIZE = [6, 5, 6];
+
+// Clicks that move the pointer further than this are camera drags, not selections
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Editable parameters per effect, with the defaults used by the effect code
+ * and the slider ranges (or dropdown options) shown in the panel
+ */
+const EFFECT_PARAMS = {
+  flickering: {
+    preset: { value: 'horror', options: Object.keys(FLICKER_PRESETS) },
+    flickerSpeed: { value: 0.5, min: 0, max: 3, step: 0.05 },
+    flickerAmount: { value: 0.4, min: 0, max: 1, step: 0.01 },
+    onOffThreshold: { value: 0.2, min: 0, max: 1, step: 0.01 },
+    offWindowWidth: { value: 0.7, min: 0, max: 1, step: 0.01 }
+  },
+  warp: {
+    amplitude: { value: 0.02, min: 0, max: 0.2, step: 0.005 },
+    frequency: { value: 5, min: 0, max: 20, step: 0.1 },
+    speed: { value: 1, min: 0, max: 5, step: 0.05 },
+    pulseAmplitude: { value: 0.4, min: 0, max: 1, step: 0.01 },
+    pulseFrequency: { value: 2, min: 0, max: 10, step: 0.1 },
+    pulseSpeed: { value: 1, min: 0, max: 5, step: 0.05 },
+    edge: { value: 0.5, min: 0, max: 3, step: 0.05 }
+  },
+  wind: {
+    strength: { value: 0.05, min: 0, max: 0.5, step: 0.005 },
+    gustiness: { value: 0.5, min: 0, max: 1, step: 0.01 },
+    gustSpeed: { value: 3, min: 0, max: 10, step: 0.1 },
+    edge: { value: 1, min: 0, max: 3, step: 0.05 }
+  },
+  grade: {
+    saturation: { value: 1, min: 0, max: 2, step: 0.01 },
+    contrast: { value: 1, min: 0, max: 2, step: 0.01 },
+    temperature: { value: 0, min: -1, max: 1, step: 0.01 }
+  },
+  ripple: {
+    speed: { value: 4, min: 0.1, max: 20, step: 0.1 },
+    amplitude: { value: 0.08, min: 0, max: 0.5, step: 0.01 },
+    width: { value: 0.6, min: 0.05, max: 3, step: 0.05 },
+    brightness: { value: 0.8, min: 0, max: 3, step: 0.05 },
+    duration: { value: 3, min: 0.1, max: 10, step: 0.1 }
+  },
+  floatingLights: {
+    count: { value: 5, min: 0, max: 100, step: 1 },
+    color: { value: '0x99ccff', color: true },
+    radius: { value: 0.2, min: 0.01, max: 1, step: 0.01 },
+    speed: { value: 0.1, min: 0, max: 1, step: 0.01 },
+    opacity: { value: 0.1, min: 0, max: 1, step: 0.01 },
+    fadeIn: { value: 1, min: 0, max: 5, step: 0.1 },
+    fadeOut: { value: 1.5, min: 0, max: 5, step: 0.1 }
+  }
+};
+
+// Gizmo modes each zone type supports (rotation only makes sense for oriented boxes)
+const ZONE_MODES = {
+  box: ['translate', 'scale'],
+  obb: ['translate', 'rotate', 'scale'],
+  sphere: ['translate', 'scale'],
+  cylinder: ['translate', 'scale'],
+  prism: ['translate']
+};
+
+/**
+ * Zone Editor
+ * Keeps a working copy of effects-config.json, shows every zone as a
+ * selectable proxy mesh and writes gizmo and panel edits back into the copy.
+ * Each committed edit is passed to `onChange` so the scene can preview it.
+ */
+export class ZoneEditor {
+  /**
+   * @param {object} options - Editor options
+   * @param {THREE.Scene} options.scene - Scene to add proxies and gizmos to
+   * @param {THREE.Camera} options.camera - Camera used for picking and the gizmo
+   * @param {HTMLElement} options.domElement - Canvas receiving pointer events
+   * @param {object} options.controls - SparkControls, paused while dragging a gizmo
+   * @param {function} options.onChange - Function(config) called with the edited config
+   */
+  constructor({ scene, camera, domElement, controls, onChange }) {
+    this.scene = scene;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.controls = controls;
+    this.onChange = onChange;
+
+    this.config = { zones: [] };
+    this.errors = []; // Validation errors in the working copy, as { path, message }
+    this.enabled = false;
+    this.selected = null; // Selected proxy mesh
+    this.mode = 'translate';
+
+    this.group = new THREE.Group();
+    this.group.name = 'ZoneEditor';
+    this.boxGeometry = new THREE.BoxGeometry(1, 1, 1);
+    this.sphereGeometry = new THREE.SphereGeometry(1, 24, 16);
+    this.cylinderGeometry = new THREE.CylinderGeometry(1, 1, 1, 32);
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointerDown = new THREE.Vector2();
+
+    this.transform = new TransformControls(camera, domElement);
+    this.transform.addEventListener('dragging-changed', (event) => {
+      // Keep pointer look from fighting the gizmo
+      this.controls.pointerControls.enable = !event.value;
+    });
+    this.transform.addEventListener('mouseUp', () => this.commitTransform());
+
+    this.gui = null;
+    this.zoneFolder = null;
+    this.problemsFolder = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Replace the working copy (e.g. after a hot reload) and rebuild proxies
+   * Pass the config as written rather than the validated one, so zones that
+   * fail validation are kept (and listed in the panel) instead of being lost on save.
+   * @param {object} config - The effects configuration object
+   */
+  load(config) {
+    const selectedId = this.selected?.userData.zoneConfig.id;
+    this.config = structuredClone(config);
+    if (!Array.isArray(this.config.zones)) this.config.zones = [];
+    this.validate();
+    if (this.enabled) {
+      this.rebuildProxies();
+      this.select(this.findProxy(selectedId));
+    }
+  }
+
+  /**
+   * Check the working copy against the schema and list the problems in the panel
+   */
+  validate() {
+    this.errors = validateEffectsConfig(this.config, effectsConfigSchema).errors;
+    if (this.gui) this.updateProblems();
+  }
+
+  /**
+   * Rebuild the panel folder listing validation errors
+   * Invalid zones are still saved and exported, but the scene leaves them out until they are fixed.
+   */
+  updateProblems() {
+    if (this.problemsFolder) {
+      this.problemsFolder.destroy();
+      this.problemsFolder = null;
+    }
+    if (this.errors.length === 0) return;
+
+    const folder = this.gui.addFolder(`Problems (${this.errors.length})`);
+    this.problemsFolder = folder;
+    const messages = {};
+    this.errors.forEach(({ path, message }, index) => {
+      messages[index] = message;
+      folder.add(messages, index).name(path).disable();
+    });
+  }
+
+  /**
+   * Show the editor
+   */
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+
+    this.scene.add(this.group);
+    this.scene.add(this.transform.getHelper());
+    this.rebuildProxies();
+    this.createGui();
+
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  /**
+   * Hide the editor and release its scene objects
+   */
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+
+    this.select(null);
+    this.clearProxies();
+    this.scene.remove(this.group);
+    this.scene.remove(this.transform.getHelper());
+    this.gui.hide();
+    this.controls.pointerControls.enable = true;
+    this.controls.fpsMovement.enable = true;
+
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('keydown', this.handleKeyDown);
+  }
+
+  /**
+   * Toggle the editor on or off
+   * @returns {boolean} Whether the editor is now enabled
+   */
+  toggle() {
+    if (this.enabled) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Create the lil-gui panel (once) and show it
+   */
+  createGui() {
+    if (this.gui) {
+      this.gui.show();
+      this.updateGui();
+      return;
+    }
+
+    this.gui = new GUI({ title: 'Zone Editor' });
+    const actions = {
+      newZone: () => this.createZoneAtCamera(),
+      deleteZone: () => this.deleteSelected(),
+      exportJson: () => this.exportConfig(),
+      save: () => this.saveToDisk()
+    };
+    this.gui.add(this, 'mode', ['translate', 'rotate', 'scale']).name('Gizmo').listen()
+      .onChange(mode => this.setMode(mode));
+    this.gui.add(actions, 'newZone').name('New zone at camera');
+    this.gui.add(actions, 'deleteZone').name('Delete zone');
+    this.gui.add(actions, 'exportJson').name('Export JSON');
+    if (import.meta.env.DEV) {
+      this.gui.add(actions, 'save').name('Save to disk');
+    }
+
+    // Typing in panel fields shouldn't move the camera (WASD) or trigger shortcuts
+    this.gui.domElement.addEventListener('focusin', () => { this.controls.fpsMovement.enable = false; });
+    this.gui.domElement.addEventListener('focusout', () => { this.controls.fpsMovement.enable = true; });
+
+    this.updateProblems();
+    this.updateGui();
+  }
+
+  /**
+   * Rebuild the panel folders for the selected zone
+   */
+  updateGui() {
+    if (this.zoneFolder) {
+      this.zoneFolder.destroy();
+      this.zoneFolder = null;
+    }
+    if (!this.selected) return;
+
+    const zoneConfig = this.selected.userData.zoneConfig;
+    const folder = this.gui.addFolder(`Zone: ${zoneConfig.id}`);
+    this.zoneFolder = folder;
+
+    const zoneParams = {
+      id: zoneConfig.id,
+      type: zoneConfig.type || 'box',
+      priority: zoneConfig.priority ?? 0,
+      feather: zoneConfig.feather ?? 0
+    };
+    folder.add(zoneParams, 'id').name('ID').onFinishChange(id => this.renameSelected(id, zoneParams));
+    folder.add(zoneParams, 'type').name('Type').disable();
+    folder.add(zoneParams, 'priority', -10, 10, 1).name('Priority')
+      .onFinishChange(value => this.setZoneField(zoneConfig, 'priority', value, 0));
+    folder.add(zoneParams, 'feather', 0, 5, 0.05).name('Feather')
+      .onFinishChange(value => this.setZoneField(zoneConfig, 'feather', value, 0));
+
+    for (const [effectName, params] of Object.entries(EFFECT_PARAMS)) {
+      this.addEffectFolder(folder, zoneConfig, effectName, params);
+    }
+  }
+
+  /**
+   * Add a panel folder editing one effect of a zone
+   * Only the fields that are touched are written to the config, so effects
+   * keep relying on their built-in defaults for everything else.
+   * @param {GUI} parent - Parent folder
+   * @param {object} zoneConfig - Raw zone config being edited
+   * @param {string} effectName - Effect key (e.g. 'flickering')
+   * @param {object} params - Entry of EFFECT_PARAMS
+   */
+  addEffectFolder(parent, zoneConfig, effectName, params) {
+    const effect = zoneConfig.effects?.[effectName] || {};
+    const folder = parent.addFolder(effectName);
+    if (!zoneConfig.effects?.[effectName]) folder.close();
+
+    const values = { enabled: effect.enabled ?? false };
+    const writeField = (key, value) => {
+      zoneConfig.effects = zoneConfig.effects || {};
+      zoneConfig.effects[effectName] = { ...zoneConfig.effects[effectName], [key]: value };
+      this.commit();
+    };
+
+    folder.add(values, 'enabled').name('Enabled').onChange(value => writeField('enabled', value));
+
+    for (const [key, spec] of Object.entries(params)) {
+      if (spec.color) {
+        // Configs store colors as "0xrrggbb" strings, lil-gui edits "#rrggbb"
+        values[key] = String(effect[key] ?? spec.value).replace(/^0x/, '#');
+        folder.addColor(values, key).onFinishChange(value => writeField(key, value.replace('#', '0x')));
+      } else if (spec.options) {
+        values[key] = effect[key] ?? spec.value;
+        folder.add(values, key, spec.options).onChange(value => writeField(key, value));
+      } else {
+        values[key] = effect[key] ?? spec.value;
+        folder.add(values, key, spec.min, spec.max, spec.step).onFinishChange(value => writeField(key, value));
+      }
+    }
+  }
+
+  /**
+   * Set or clear an optional zone field
+   * @param {object} zoneConfig - Raw zone config
+   * @param {string} key - Field name
+   * @param {*} value - New value
+   * @param {*} defaultValue - Value that means "not set"
+   */
+  setZoneField(zoneConfig, key, value, defaultValue) {
+    if (value === defaultValue) {
+      delete zoneConfig[key];
+    } else {
+      zoneConfig[key] = value;
+    }
+    this.commit();
+  }
+
+  /**
+   * Rename the selected zone, rejecting empty or duplicate IDs
+   * @param {string} id - New zone ID
+   * @param {object} zoneParams - Panel values to revert on failure
+   */
+  renameSelected(id, zoneParams) {
+    const zoneConfig = this.selected.userData.zoneConfig;
+    id = id.trim();
+    if (!id || this.config.zones.some(zone => zone !== zoneConfig && zone.id === id)) {
+      window.debugLogHigh('warn', `Zone editor: ID "${id}" is empty or already used`);
+      zoneParams.id = zoneConfig.id;
+      this.zoneFolder.controllers[0].updateDisplay();
+      return;
+    }
+    zoneConfig.id = id;
+    this.zoneFolder.title(`Zone: ${id}`);
+    this.commit();
+  }
+
+  /**
+   * Set the gizmo mode, falling back to translate for modes the zone type can't use
+   * @param {string} mode - 'translate', 'rotate' or 'scale'
+   */
+  setMode(mode) {
+    this.mode = mode;
+    if (!this.selected) return;
+
+    const type = this.selected.userData.zoneConfig.type || 'box';
+    const allowed = ZONE_MODES[type] || ['translate'];
+    if (!allowed.includes(mode)) {
+      window.debugLogHigh('warn', `Zone editor: ${type} zones support ${allowed.join(', ')}`);
+      this.mode = 'translate';
+    }
+    this.transform.setMode(this.mode);
+  }
+
+  /**
+   * Select a proxy (or deselect with null) and attach the gizmo to it
+   * @param {THREE.Mesh|null} proxy - Proxy to select
+   */
+  select(proxy) {
+    if (this.selected) {
+      this.selected.material.color.setHex(PROXY_COLOR);
+    }
+    this.selected = proxy || null;
+
+    if (this.selected) {
+      this.selected.material.color.setHex(SELECTED_COLOR);
+      this.transform.attach(this.selected);
+      this.setMode(this.mode);
+    } else {
+      this.transform.detach();
+    }
+
+    if (this.gui) this.updateGui();
+  }
+
+  /**
+   * Add a box zone centered on the camera and select it
+   */
+  createZoneAtCamera() {
+    const position = new THREE.Vector3();
+    this.camera.getWorldPosition(position);
+
+    let index = this.config.zones.length + 1;
+    while (this.config.zones.some(zone => zone.id === `zone-${index}`)) index++;
+
+    const zoneConfig = {
+      id: `zone-${index}`,
+      type: 'box',
+      bounds: {
+        min: position.toArray().map((v, i) => round(v - NEW_ZONE_SIZE[i] / 2)),
+        max: position.toArray().map((v, i) => round(v + NEW_ZONE_SIZE[i] / 2))
+      },
+      effects: {}
+    };
+    this.config.zones.push(zoneConfig);
+
+    const proxy = this.createProxy(zoneConfig);
+    this.group.add(proxy);
+    this.select(proxy);
+    this.commit();
+  }
+
+  /**
+   * Remove the selected zone
+   */
+  deleteSelected() {
+    if (!this.selected) return;
+    const proxy = this.selected;
+    this.select(null);
+
+    this.config.zones = this.config.zones.filter(zone => zone !== proxy.userData.zoneConfig);
+    this.disposeProxy(proxy);
+    this.commit();
+  }
+
+  /**
+   * Download the working copy as effects-config.json (and log it)
+   */
+  exportConfig() {
+    const json = JSON.stringify(this.config, null, 2) + '\n';
+    console.log(json);
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'effects-config.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // The click only queues the download, so keep the URL alive until the browser has read it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    window.debugLogHigh('info', `Zone editor: exported ${this.config.zones.length} zones`);
+  }
+
+  /**
+   * Write the working copy to public/assets/effects-config.json via the dev server
+   */
+  async saveToDisk() {
+    try {
+      await saveConfig('effects-config.json', this.config);
+    } catch (error) {
+      window.debugLogHigh('error', `Zone editor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pass the working copy to onChange
+   */
+  commit() {
+    this.validate();
+    if (this.onChange) {
+      this.onChange(structuredClone(this.config));
+    }
+  }
+
+  /**
+   * Write the selected proxy's transform back into its zone config
+   * Called when a gizmo drag ends, so the scene is only rebuilt once per drag.
+   */
+  commitTransform() {
+    if (!this.selected) return;
+    writeProxyToZone(this.selected);
+    this.commit();
+  }
+
+  /**
+   * Recreate all proxies from the working copy
+   */
+  rebuildProxies() {
+    this.transform.detach();
+    this.selected = null;
+    this.clearProxies();
+    for (const zoneConfig of this.config.zones) {
+      const proxy = this.createProxy(zoneConfig);
+      if (proxy) this.group.add(proxy);
+    }
+  }
+
+  /**
+   * Remove and dispose all proxies
+   */
+  clearProxies() {
+    for (const proxy of [...this.group.children]) {
+      this.disposeProxy(proxy);
+    }
+  }
+
+  /**
+   * Find the proxy for a zone ID
+   * @param {string} zoneId - Zone identifier
+   * @returns {THREE.Mesh|null}
+   */
+  findProxy(zoneId) {
+    return this.group.children.find(proxy => proxy.userData.zoneConfig.id === zoneId) || null;
+  }
+
+  /**
+   * Create a selectable mesh matching a zone's shape
+   * The proxy's transform encodes the zone geometry (see writeProxyToZone).
+   * @param {object} zoneConfig - Raw zone config
+   * @returns {THREE.Mesh|null} The proxy, or null for unparseable zones
+   */
+  createProxy(zoneConfig) {
+    let shape;
+    try {
+      shape = parseZoneShape(zoneConfig);
+    } catch (error) {
+      shape = null;
+    }
+    if (!shape) {
+      console.warn(`ZoneEditor: Can't edit zone "${zoneConfig.id}"`);
+      return null;
+    }
+
+    const geometry = {
+      sphere: this.sphereGeometry,
+      cylinder: this.cylinderGeometry
+    }[shape.type] || this.boxGeometry;
+
+    const material = new THREE.MeshBasicMaterial({
+      color: PROXY_COLOR,
+      transparent: true,
+      opacity: PROXY_OPACITY,
+      depthWrite: false
+    });
+    const proxy = new THREE.Mesh(geometry, material);
+    proxy.add(new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry),
+      new THREE.LineBasicMaterial({ color: PROXY_COLOR })
+    ));
+
+    proxy.position.copy(shape.center);
+    switch (shape.type) {
+      case 'obb':
+        proxy.quaternion.copy(shape.quaternion);
+        proxy.scale.copy(shape.halfExtents).multiplyScalar(2);
+        break;
+      case 'sphere':
+        proxy.scale.setScalar(shape.radius);
+        break;
+      case 'cylinder':
+        proxy.scale.set(shape.radius, shape.height, shape.radius);
+        break;
+      default:
+        // Boxes, and prisms shown by their bounds
+        proxy.position.addVectors(shape.bounds.min, shape.bounds.max).multiplyScalar(0.5);
+        proxy.scale.subVectors(shape.bounds.max, shape.bounds.min);
+    }
+
+    proxy.userData.zoneConfig = zoneConfig;
+    proxy.userData.lastPosition = proxy.position.clone();
+    return proxy;
+  }
+
+  /**
+   * Remove a proxy and free its materials and edge geometry
+   * @param {THREE.Mesh} proxy - The proxy
+   */
+  disposeProxy(proxy) {
+    this.group.remove(proxy);
+    proxy.material.dispose();
+    for (const edges of proxy.children) {
+      edges.geometry.dispose();
+      edges.material.dispose();
+    }
+  }
+
+  /**
+   * Remember where a press started, so clicks can be told apart from camera drags
+   */
+  handlePointerDown(event) {
+    this.pointerDown.set(event.clientX, event.clientY);
+  }
+
+  /**
+   * Select the zone under the pointer on click
+   */
+  handlePointerUp(event) {
+    if (this.transform.dragging) return;
+    if (this.pointerDown.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > CLICK_TOLERANCE) return;
+
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+
+    // Proxies are transparent volumes, so prefer the smallest one hit (nested zones)
+    const hits = this.raycaster.intersectObjects(this.group.children, false);
+    if (hits.length === 0) return;
+    const volume = (proxy) => Math.abs(proxy.scale.x * proxy.scale.y * proxy.scale.z);
+    const proxy = hits.map(hit => hit.object).reduce((a, b) => (volume(b) < volume(a) ? b : a));
+    this.select(proxy);
+  }
+
+  /**
+   * Escape deselects, Delete removes the selected zone
+   */
+  handleKeyDown(event) {
+    if (event.target instanceof HTMLInputElement) return;
+    if (event.key === 'Escape') {
+      this.select(null);
+    } else if (event.key === 'Delete') {
+      this.deleteSelected();
+    }
+  }
+}
+
+/**
+ * Round to centimeters so exported configs stay readable
+ * @param {number} value - Value in meters
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Write a proxy's transform into its raw zone config
+ * @param {THREE.Mesh} proxy - Proxy created by ZoneEditor.createProxy
+ */
+function writeProxyToZone(proxy) {
+  const zoneConfig = proxy.userData.zoneConfig;
+  const position = proxy.position;
+  const scale = new THREE.Vector3(Math.abs(proxy.scale.x), Math.abs(proxy.scale.y), Math.abs(proxy.scale.z));
+
+  switch (zoneConfig.type || 'box') {
+    case 'box':
+      zoneConfig.bounds = {
+        min: position.clone().addScaledVector(scale, -0.5).toArray().map(round),
+        max: position.clone().addScaledVector(scale, 0.5).toArray().map(round)
+      };
+      break;
+
+    case 'obb': {
+      const euler = new THREE.Euler().setFromQuaternion(proxy.quaternion, 'XYZ');
+      zoneConfig.center = position.toArray().map(round);
+      zoneConfig.halfExtents = scale.clone().multiplyScalar(0.5).toArray().map(round);
+      zoneConfig.rotation = [euler.x, euler.y, euler.z].map(angle => round(THREE.MathUtils.radToDeg(angle)));
+      break;
+    }
+
+    case 'sphere': {
+      // Spheres scale uniformly; take whichever axis was dragged furthest
+      const radius = round(Math.max(scale.x, scale.y, scale.z));
+      proxy.scale.setScalar(radius);
+      zoneConfig.center = position.toArray().map(round);
+      zoneConfig.radius = radius;
+      delete zoneConfig.bounds; // Legacy sphere encoding
+      break;
+    }
+
+    case 'cylinder': {
+      const radius = round(Math.max(scale.x, scale.z));
+      proxy.scale.set(radius, scale.y, radius);
+      zoneConfig.center = position.toArray().map(round);
+      zoneConfig.radius = radius;
+      zoneConfig.height = round(scale.y);
+      break;
+    }
+
+    case 'prism': {
+      // Prisms can only be moved: shift the floor polygon and the Y range
+      const delta = position.clone().sub(proxy.userData.lastPosition);
+      zoneConfig.points = zoneConfig.points.map(([x, z]) => [round(x + delta.x), round(z + delta.z)]);
+      zoneConfig.minY = round(zoneConfig.minY + delta.y);
+      zoneConfig.maxY = round(zoneConfig.maxY + delta.y);
+      break;
+    }
+  }
+
+  proxy.userData.lastPosition.copy(position);
+}
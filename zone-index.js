@@ -0,0 +1,120 @@
+// Zone Index Module
+// Uniform grid spatial index for answering "which zones might contain this point"
+// Has no dependencies so it can be benchmarked in Node (see scripts/bench-zone-index.js)
+
+/**
+ * Uniform grid over axis-aligned bounding boxes
+ * Each entry is registered in every cell its box overlaps. A point query
+ * looks up a single cell and filters that cell's entries by their boxes,
+ * so cost depends on local zone density rather than total zone count.
+ * Results are candidates only: callers still run an exact shape test.
+ */
+export class ZoneGridIndex {
+  /**
+   * @param {object} options - Index options
+   * @param {number} options.cellSize - Grid cell size in meters (default: derived from entry sizes)
+   */
+  constructor(options = {}) {
+    this.fixedCellSize = options.cellSize || null;
+    this.cellSize = this.fixedCellSize || 1;
+    this.entries = [];
+    this.cells = new Map(); // Map of cell key -> Array of entry indices
+  }
+
+  /**
+   * Build the index from a list of entries, replacing any previous contents
+   * @param {Array<object>} entries - Array of { item, min: {x, y, z}, max: {x, y, z} }
+   */
+  build(entries) {
+    this.entries = entries;
+    this.cells.clear();
+
+    this.cellSize = this.fixedCellSize || ZoneGridIndex.suggestCellSize(entries);
+
+    for (let i = 0; i < entries.length; i++) {
+      const { min, max } = entries[i];
+      const x0 = this.cellCoord(min.x), x1 = this.cellCoord(max.x);
+      const y0 = this.cellCoord(min.y), y1 = this.cellCoord(max.y);
+      const z0 = this.cellCoord(min.z), z1 = this.cellCoord(max.z);
+
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          for (let z = z0; z <= z1; z++) {
+            const key = this.cellKey(x, y, z);
+            let cell = this.cells.get(key);
+            if (!cell) {
+              cell = [];
+              this.cells.set(key, cell);
+            }
+            cell.push(i);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Find all entries whose bounding box contains a point
+   * @param {{x: number, y: number, z: number}} point - The point to look up
+   * @param {Array} out - Optional array to fill (cleared first)
+   * @returns {Array} The items of matching entries
+   */
+  query(point, out = []) {
+    out.length = 0;
+    const cell = this.cells.get(this.cellKey(
+      this.cellCoord(point.x),
+      this.cellCoord(point.y),
+      this.cellCoord(point.z)
+    ));
+    if (!cell) return out;
+
+    for (const index of cell) {
+      const { item, min, max } = this.entries[index];
+      if (
+        point.x >= min.x && point.x <= max.x &&
+        point.y >= min.y && point.y <= max.y &&
+        point.z >= min.z && point.z <= max.z
+      ) {
+        out.push(item);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Convert a world coordinate to an integer cell coordinate
+   * @param {number} value - World coordinate
+   * @returns {number}
+   */
+  cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  /**
+   * Pack integer cell coordinates into a single Map key
+   * Coordinates are offset into 17-bit unsigned ranges (+/- 65536 cells
+   * per axis) so the packed key stays within Number's 53-bit integer range.
+   * @returns {number}
+   */
+  cellKey(x, y, z) {
+    const OFFSET = 65536;
+    const RANGE = 131072;
+    return ((x + OFFSET) * RANGE + (y + OFFSET)) * RANGE + (z + OFFSET);
+  }
+
+  /**
+   * Pick a cell size close to the average entry extent
+   * Cells much smaller than entries duplicate entries across many cells;
+   * cells much larger put unrelated entries in the same bucket.
+   * @param {Array<object>} entries - Array of { min, max }
+   * @returns {number}
+   */
+  static suggestCellSize(entries) {
+    if (entries.length === 0) return 1;
+    let total = 0;
+    for (const { min, max } of entries) {
+      total += ((max.x - min.x) + (max.y - min.y) + (max.z - min.z)) / 3;
+    }
+    return Math.max(0.5, total / entries.length);
+  }
+}
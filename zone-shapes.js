@@ -0,0 +1,328 @@
+// Zone Shapes Module
+// Parses zone geometry from effects-config.json and answers point containment queries
+
+import * as THREE from "three";
+
+/**
+ * Zone types understood by the effect zone system
+ * - box:      axis-aligned box, `bounds: { min: [x, y, z], max: [x, y, z] }`
+ * - sphere:   `center: [x, y, z]`, `radius`
+ *             (legacy form: `bounds.min` is the center, `bounds.max[0]` is the radius)
+ * - obb:      oriented box, `center: [x, y, z]`, `halfExtents: [x, y, z]`,
+ *             `rotation: [x, y, z]` in degrees (XYZ Euler order)
+ * - cylinder: vertical cylinder, `center: [x, y, z]`, `radius`, `height`
+ * - prism:    floor polygon extruded along Y, `points: [[x, z], ...]`, `minY`, `maxY`
+ */
+export const ZONE_TYPES = ['box', 'sphere', 'obb', 'cylinder', 'prism'];
+
+// Scratch vectors reused by containment and distance checks (called every frame)
+const _local = new THREE.Vector3();
+const _q = new THREE.Vector3();
+
+/**
+ * Parse the shape portion of a zone config into runtime geometry
+ * Every shape gets a world-space axis-aligned `bounds` and a `center`,
+ * which are used for spawning effects, visualization and start positions.
+ * @param {object} zoneConfig - A zone entry from effects-config.json
+ * @returns {object|null} Shape fields to merge into the zone, or null if the type is unknown
+ */
+export function parseZoneShape(zoneConfig) {
+  const type = zoneConfig.type || 'box';
+
+  switch (type) {
+    case 'box': {
+      const min = new THREE.Vector3(...zoneConfig.bounds.min);
+      const max = new THREE.Vector3(...zoneConfig.bounds.max);
+      return {
+        type,
+        bounds: { min, max },
+        center: new THREE.Vector3().addVectors(min, max).multiplyScalar(0.5)
+      };
+    }
+
+    case 'sphere': {
+      // Prefer explicit center/radius, fall back to the legacy bounds encoding
+      const center = zoneConfig.center
+        ? new THREE.Vector3(...zoneConfig.center)
+        : new THREE.Vector3(...zoneConfig.bounds.min);
+      const radius = zoneConfig.radius ?? zoneConfig.bounds.max[0];
+      return {
+        type,
+        center,
+        radius,
+        bounds: {
+          min: center.clone().subScalar(radius),
+          max: center.clone().addScalar(radius)
+        }
+      };
+    }
+
+    case 'obb': {
+      const center = new THREE.Vector3(...zoneConfig.center);
+      const halfExtents = new THREE.Vector3(...zoneConfig.halfExtents);
+      const [rx = 0, ry = 0, rz = 0] = zoneConfig.rotation || [];
+      const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+        THREE.MathUtils.degToRad(rx),
+        THREE.MathUtils.degToRad(ry),
+        THREE.MathUtils.degToRad(rz)
+      ));
+
+      // World-space bounds enclose all eight rotated corners
+      const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+      const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+      const corner = new THREE.Vector3();
+      for (let i = 0; i < 8; i++) {
+        corner.set(
+          i & 1 ? halfExtents.x : -halfExtents.x,
+          i & 2 ? halfExtents.y : -halfExtents.y,
+          i & 4 ? halfExtents.z : -halfExtents.z
+        ).applyQuaternion(quaternion).add(center);
+        min.min(corner);
+        max.max(corner);
+      }
+
+      return {
+        type,
+        center,
+        halfExtents,
+        quaternion,
+        inverseQuaternion: quaternion.clone().invert(),
+        bounds: { min, max }
+      };
+    }
+
+    case 'cylinder': {
+      const center = new THREE.Vector3(...zoneConfig.center);
+      const radius = zoneConfig.radius;
+      const height = zoneConfig.height;
+      return {
+        type,
+        center,
+        radius,
+        height,
+        bounds: {
+          min: new THREE.Vector3(center.x - radius, center.y - height / 2, center.z - radius),
+          max: new THREE.Vector3(center.x + radius, center.y + height / 2, center.z + radius)
+        }
+      };
+    }
+
+    case 'prism': {
+      // Polygon points are [x, z] pairs on the floor plane
+      const points = zoneConfig.points.map(([x, z]) => new THREE.Vector2(x, z));
+      const minY = zoneConfig.minY;
+      const maxY = zoneConfig.maxY;
+
+      const min = new THREE.Vector3(Infinity, minY, Infinity);
+      const max = new THREE.Vector3(-Infinity, maxY, -Infinity);
+      for (const p of points) {
+        min.x = Math.min(min.x, p.x);
+        min.z = Math.min(min.z, p.y);
+        max.x = Math.max(max.x, p.x);
+        max.z = Math.max(max.z, p.y);
+      }
+      const centroid = polygonCentroid(points);
+
+      return {
+        type,
+        points,
+        minY,
+        maxY,
+        center: new THREE.Vector3(centroid.x, (minY + maxY) / 2, centroid.y),
+        bounds: { min, max }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check if a point lies inside a zone's shape
+ * @param {THREE.Vector3} point - The point to check
+ * @param {object} zone - A zone with fields produced by parseZoneShape
+ * @returns {boolean}
+ */
+export function isPointInShape(point, zone) {
+  switch (zone.type) {
+    case 'box':
+      return (
+        point.x >= zone.bounds.min.x && point.x <= zone.bounds.max.x &&
+        point.y >= zone.bounds.min.y && point.y <= zone.bounds.max.y &&
+        point.z >= zone.bounds.min.z && point.z <= zone.bounds.max.z
+      );
+
+    case 'sphere':
+      return point.distanceTo(zone.center) <= zone.radius;
+
+    case 'obb': {
+      // Transform into the box's local frame and do an axis-aligned test
+      _local.copy(point).sub(zone.center).applyQuaternion(zone.inverseQuaternion);
+      return (
+        Math.abs(_local.x) <= zone.halfExtents.x &&
+        Math.abs(_local.y) <= zone.halfExtents.y &&
+        Math.abs(_local.z) <= zone.halfExtents.z
+      );
+    }
+
+    case 'cylinder': {
+      const dx = point.x - zone.center.x;
+      const dz = point.z - zone.center.z;
+      return (
+        Math.abs(point.y - zone.center.y) <= zone.height / 2 &&
+        dx * dx + dz * dz <= zone.radius * zone.radius
+      );
+    }
+
+    case 'prism':
+      return (
+        point.y >= zone.minY && point.y <= zone.maxY &&
+        isPointInPolygon(point.x, point.z, zone.points)
+      );
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Signed distance from a point to a zone's boundary
+ * Negative inside the zone, positive outside, zero on the surface.
+ * @param {THREE.Vector3} point - The point to measure from
+ * @param {object} zone - A zone with fields produced by parseZoneShape
+ * @returns {number}
+ */
+export function signedDistanceToShape(point, zone) {
+  switch (zone.type) {
+    case 'box':
+      _local.copy(point).sub(zone.center);
+      _q.subVectors(zone.bounds.max, zone.bounds.min).multiplyScalar(0.5);
+      return boxDistance(_local, _q);
+
+    case 'sphere':
+      return point.distanceTo(zone.center) - zone.radius;
+
+    case 'obb':
+      _local.copy(point).sub(zone.center).applyQuaternion(zone.inverseQuaternion);
+      return boxDistance(_local, zone.halfExtents);
+
+    case 'cylinder': {
+      const dx = point.x - zone.center.x;
+      const dz = point.z - zone.center.z;
+      const radial = Math.sqrt(dx * dx + dz * dz) - zone.radius;
+      const vertical = Math.abs(point.y - zone.center.y) - zone.height / 2;
+      return extrudedDistance(radial, vertical);
+    }
+
+    case 'prism': {
+      const halfHeight = (zone.maxY - zone.minY) / 2;
+      const vertical = Math.abs(point.y - (zone.minY + halfHeight)) - halfHeight;
+      return extrudedDistance(polygonDistance(point.x, point.z, zone.points), vertical);
+    }
+
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * Signed distance to an origin-centered box
+ * @param {THREE.Vector3} p - Point relative to the box center
+ * @param {THREE.Vector3} halfExtents - Box half sizes
+ * @returns {number}
+ */
+function boxDistance(p, halfExtents) {
+  const qx = Math.abs(p.x) - halfExtents.x;
+  const qy = Math.abs(p.y) - halfExtents.y;
+  const qz = Math.abs(p.z) - halfExtents.z;
+  const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0));
+  const inside = Math.min(Math.max(qx, qy, qz), 0);
+  return outside + inside;
+}
+
+/**
+ * Combine a 2D cross-section distance with a vertical slab distance
+ * @param {number} planar - Signed distance in the floor plane
+ * @param {number} vertical - Signed distance to the top/bottom caps
+ * @returns {number}
+ */
+function extrudedDistance(planar, vertical) {
+  const outside = Math.hypot(Math.max(planar, 0), Math.max(vertical, 0));
+  const inside = Math.min(Math.max(planar, vertical), 0);
+  return outside + inside;
+}
+
+/**
+ * Signed distance from a 2D point to a polygon outline
+ * @param {number} x - Point x
+ * @param {number} y - Point y (world z for floor polygons)
+ * @param {Array<THREE.Vector2>} points - Polygon vertices in order
+ * @returns {number}
+ */
+function polygonDistance(x, y, points) {
+  let minDistSq = Infinity;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[j];
+    const b = points[i];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const wx = x - a.x;
+    const wy = y - a.y;
+    // A repeated vertex makes a zero-length edge, whose closest point is the vertex itself
+    const lengthSq = ex * ex + ey * ey;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, (wx * ex + wy * ey) / lengthSq)) : 0;
+    const dx = wx - ex * t;
+    const dy = wy - ey * t;
+    minDistSq = Math.min(minDistSq, dx * dx + dy * dy);
+  }
+  const dist = Math.sqrt(minDistSq);
+  return isPointInPolygon(x, y, points) ? -dist : dist;
+}
+
+/**
+ * Area centroid of a polygon
+ * Unlike the vertex average, this isn't pulled toward densely sampled edges.
+ * Degenerate polygons with no area fall back to the vertex average.
+ * @param {Array<THREE.Vector2>} points - Polygon vertices in order
+ * @returns {THREE.Vector2}
+ */
+function polygonCentroid(points) {
+  const centroid = new THREE.Vector2();
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[j];
+    const b = points[i];
+    const cross = a.x * b.y - b.x * a.y;
+    area += cross;
+    centroid.x += (a.x + b.x) * cross;
+    centroid.y += (a.y + b.y) * cross;
+  }
+
+  if (Math.abs(area) < 1e-9) {
+    centroid.set(0, 0);
+    for (const p of points) centroid.add(p);
+    return centroid.divideScalar(points.length);
+  }
+  // area holds twice the signed area, so 6 * area / 2 = 3 * area
+  return centroid.divideScalar(3 * area);
+}
+
+/**
+ * Even-odd ray casting test for a 2D polygon
+ * @param {number} x - Point x
+ * @param {number} y - Point y (world z for floor polygons)
+ * @param {Array<THREE.Vector2>} points - Polygon vertices in order
+ * @returns {boolean}
+ */
+function isPointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
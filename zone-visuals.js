@@ -0,0 +1,203 @@
+// Zone Visuals Module
+// Persistent wireframe, fill and label geometry used to visualize effect zones
+
+import * as THREE from "three";
+import { createTextSprite, disposeTextSprite } from './text-sprite.js';
+
+const LINE_OPACITY = 0.9;
+const FILL_OPACITY = 0.08;
+const CIRCLE_SEGMENTS = 48;
+const LABEL_OFFSET = 0.3; // Meters above the top of the zone
+const WHITE = new THREE.Color(0xffffff);
+
+/**
+ * Create the visualization for one zone
+ * The returned group is built once; state changes only touch its material
+ * colors (see setZoneVisualColor), so nothing is rebuilt per frame.
+ * @param {object} zone - A zone with fields produced by parseZoneShape
+ * @param {number} colorHex - Initial color
+ * @param {object} options - Visual options
+ * @param {boolean} options.fill - Add a translucent fill (default: true)
+ * @param {boolean} options.label - Add a floating label with the zone ID (default: true)
+ * @returns {THREE.Group}
+ */
+export function createZoneVisual(zone, colorHex, options = {}) {
+  const { fill = true, label = true } = options;
+
+  const group = new THREE.Group();
+  group.name = `Zone:${zone.id}`;
+  group.userData.zoneId = zone.id;
+
+  const lineMaterial = new THREE.LineBasicMaterial({
+    color: colorHex,
+    transparent: true,
+    opacity: LINE_OPACITY
+  });
+  group.add(new THREE.LineSegments(createOutlineGeometry(zone), lineMaterial));
+
+  if (fill) {
+    const fillMaterial = new THREE.MeshBasicMaterial({
+      color: colorHex,
+      transparent: true,
+      opacity: FILL_OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    group.add(new THREE.Mesh(createFillGeometry(zone), fillMaterial));
+  }
+
+  if (label) {
+    const sprite = createTextSprite(zone.id);
+    sprite.position.set(zone.center.x, zone.bounds.max.y + LABEL_OFFSET, zone.center.z);
+    group.add(sprite);
+  }
+
+  setZoneVisualColor(group, colorHex);
+  return group;
+}
+
+/**
+ * Recolor a zone visualization (a uniform update, no geometry is rebuilt)
+ * @param {THREE.Group} visual - Group from createZoneVisual
+ * @param {number} colorHex - New color
+ */
+export function setZoneVisualColor(visual, colorHex) {
+  for (const child of visual.children) {
+    if (child.isSprite) {
+      // Tint the white label text towards the zone color, keeping it legible
+      child.material.color.setHex(colorHex).lerp(WHITE, 0.5);
+    } else {
+      child.material.color.setHex(colorHex);
+    }
+  }
+}
+
+/**
+ * Remove a zone visualization and free its GPU resources
+ * @param {THREE.Group} visual - Group from createZoneVisual
+ */
+export function disposeZoneVisual(visual) {
+  visual.removeFromParent();
+  for (const child of [...visual.children]) {
+    if (child.isSprite) {
+      disposeTextSprite(child);
+    } else {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  }
+}
+
+/**
+ * Build line segments outlining a zone's shape, in world space
+ * @param {object} zone - Parsed zone
+ * @returns {THREE.BufferGeometry}
+ */
+function createOutlineGeometry(zone) {
+  switch (zone.type) {
+    case 'sphere': {
+      // Three great circles read better than a tessellated wireframe
+      const points = [
+        ...circleSegments(zone.radius, (x, y) => new THREE.Vector3(x, y, 0)),
+        ...circleSegments(zone.radius, (x, y) => new THREE.Vector3(x, 0, y)),
+        ...circleSegments(zone.radius, (x, y) => new THREE.Vector3(0, x, y))
+      ].map(p => p.add(zone.center));
+      return new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    case 'cylinder': {
+      // Top and bottom rings plus four vertical edges
+      const half = zone.height / 2;
+      const points = [
+        ...circleSegments(zone.radius, (x, z) => new THREE.Vector3(x, -half, z)),
+        ...circleSegments(zone.radius, (x, z) => new THREE.Vector3(x, half, z))
+      ];
+      for (let i = 0; i < 4; i++) {
+        const angle = (i / 4) * Math.PI * 2;
+        const x = Math.cos(angle) * zone.radius;
+        const z = Math.sin(angle) * zone.radius;
+        points.push(new THREE.Vector3(x, -half, z), new THREE.Vector3(x, half, z));
+      }
+      return new THREE.BufferGeometry().setFromPoints(points.map(p => p.add(zone.center)));
+    }
+
+    case 'prism': {
+      // Floor and ceiling outlines plus a vertical edge at each corner
+      const points = [];
+      zone.points.forEach((a, i) => {
+        const b = zone.points[(i + 1) % zone.points.length];
+        points.push(
+          new THREE.Vector3(a.x, zone.minY, a.y), new THREE.Vector3(b.x, zone.minY, b.y),
+          new THREE.Vector3(a.x, zone.maxY, a.y), new THREE.Vector3(b.x, zone.maxY, b.y),
+          new THREE.Vector3(a.x, zone.minY, a.y), new THREE.Vector3(a.x, zone.maxY, a.y)
+        );
+      });
+      return new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    default: {
+      // Boxes and oriented boxes: the twelve box edges
+      const box = createFillGeometry(zone);
+      const edges = new THREE.EdgesGeometry(box);
+      box.dispose();
+      return edges;
+    }
+  }
+}
+
+/**
+ * Build a solid mesh geometry for a zone's shape, in world space
+ * @param {object} zone - Parsed zone
+ * @returns {THREE.BufferGeometry}
+ */
+function createFillGeometry(zone) {
+  switch (zone.type) {
+    case 'sphere':
+      return new THREE.SphereGeometry(zone.radius, 24, 12)
+        .translate(zone.center.x, zone.center.y, zone.center.z);
+
+    case 'obb': {
+      const size = zone.halfExtents.clone().multiplyScalar(2);
+      return new THREE.BoxGeometry(size.x, size.y, size.z)
+        .applyQuaternion(zone.quaternion)
+        .translate(zone.center.x, zone.center.y, zone.center.z);
+    }
+
+    case 'cylinder':
+      return new THREE.CylinderGeometry(zone.radius, zone.radius, zone.height, CIRCLE_SEGMENTS)
+        .translate(zone.center.x, zone.center.y, zone.center.z);
+
+    case 'prism': {
+      // Extrude the floor polygon, then stand it up so the extrusion runs from maxY down to minY
+      const shape = new THREE.Shape(zone.points.map(p => new THREE.Vector2(p.x, p.y)));
+      return new THREE.ExtrudeGeometry(shape, { depth: zone.maxY - zone.minY, bevelEnabled: false })
+        .rotateX(Math.PI / 2)
+        .translate(0, zone.maxY, 0);
+    }
+
+    default: {
+      const size = new THREE.Vector3().subVectors(zone.bounds.max, zone.bounds.min);
+      return new THREE.BoxGeometry(size.x, size.y, size.z)
+        .translate(zone.center.x, zone.center.y, zone.center.z);
+    }
+  }
+}
+
+/**
+ * Line segment endpoints around a circle
+ * @param {number} radius - Circle radius
+ * @param {function} toPoint - Function(a, b) mapping circle coordinates to a Vector3
+ * @returns {Array<THREE.Vector3>} Pairs of points, one pair per segment
+ */
+function circleSegments(radius, toPoint) {
+  const points = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const a0 = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+    const a1 = ((i + 1) / CIRCLE_SEGMENTS) * Math.PI * 2;
+    points.push(
+      toPoint(Math.cos(a0) * radius, Math.sin(a0) * radius),
+      toPoint(Math.cos(a1) * radius, Math.sin(a1) * radius)
+    );
+  }
+  return points;
+}